@@ -1,13 +1,47 @@
-const SnowflakeIdGenerator = require('./src/snowflake')
 const CustomSnowflakeId = require('./src/customSnowflake')
+const { MachineIdAllocator, MemoryMachineIdAllocator, FileMachineIdAllocator } = require('./src/machineIdAllocator')
+const { ClusterMachineIdAllocator } = require('./src/clusterMachineIdAllocator')
+const { StateStore, FileStateStore } = require('./src/stateStore')
+const { createServer } = require('./src/server')
+const { toPrometheus } = require('./src/prometheus')
+const { Clock, SystemClock, MonotonicClock, FakeClock } = require('./src/clock')
+const { IdObfuscator } = require('./src/obfuscator')
+const { TypedIdFactory } = require('./src/typedIdFactory')
+const { LayoutRegistry } = require('./src/layoutRegistry')
+const { loadEnvOptions, machineIdFromHostname } = require('./src/config')
+const {
+    SnowflakeIdError,
+    InvalidOptionError,
+    InvalidArgumentError,
+    InvalidIdError,
+    NotInitializedError,
+    AlreadyInitializedError,
+    TimestampBeforeEpochError,
+    LayoutExpiredError,
+    ClockBackwardsError,
+    MachineIdUnavailableError,
+    LeaseLostError,
+    InvalidStateError,
+    ClockBehindStateError,
+} = require('./src/errors')
 
-const defaultSnowflake = new SnowflakeIdGenerator(10, 12, null, new Date('2024-01-01T00:00:00.000Z'))
+// Default generator, created on first use from SNOWFLAKE_* environment variables unless SnowflakeId.configure() is called first
+let defaultInstance = null
+let configured = false
+
+function getDefaultSnowflake() {
+    if (!defaultInstance) {
+        defaultInstance = new CustomSnowflakeId(loadEnvOptions(process.env))
+    }
+    return defaultInstance
+}
 
 /**
  * Generate unique snowflake ids which are unique across all instances
  * SnowflakeId
  * @class
- * @methods newId, getFirstIdAt, getLastIdAt, parseId
+ * @methods newId, newIdAsync, newIds, reserveRange, getFirstIdAt, getLastIdAt, parseId, isValid, compare, sort, timeRange,
+ *  bucketOf, ageOf, isBefore, isAfter, getStats, on, ready, configure
  * @example
  * const { SnowflakeId } = require('snowflakeid-producer')
  * const id = SnowflakeId.newId()
@@ -35,8 +69,10 @@ const defaultSnowflake = new SnowflakeIdGenerator(10, 12, null, new Date('2024-0
 class SnowflakeId {
     /**
      * Generate a new SnowflakeId which is unique across all instances
-     * @returns {string} SnowflakeId
-     * @throws {Error} If SnowflakeId generator is not initialized properly
+     * @param {object} options - optional, { encoding } to override the encoding of this call
+     * @returns {string|bigint|Buffer} SnowflakeId in the requested encoding
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @throws {ClockBackwardsError} If the clock moved backwards by more than 10 ms
      * @static
      * @example
      * const { SnowflakeId } = require('snowflakeid-producer')
@@ -44,18 +80,76 @@ class SnowflakeId {
      * console.log(id) // 1234567890123456789
      * console.log(typeof id) // string
     */
-    static newId() {
-        if (!defaultSnowflake || !(defaultSnowflake instanceof SnowflakeIdGenerator)) {
-            throw new Error('SnowflakeId generator is not initialized. Please try again later.')
-        }
-        return defaultSnowflake.nextId()
+    static newId(options) {
+        return getDefaultSnowflake().newId(options)
+    }
+
+    /**
+     * Generate a new SnowflakeId without blocking the event loop
+     * When the sequence of the current millisecond is exhausted, it waits for the next one with timers instead of spinning
+     * Concurrent calls are queued and resolved in order, so ids stay monotonic
+     * @param {object} options - optional, { encoding } to override the encoding of this call
+     * @returns {Promise<string|bigint|Buffer>} SnowflakeId in the requested encoding
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid (as a rejected promise)
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * const id = await SnowflakeId.newIdAsync()
+     * console.log(id) // 1234567890123456789
+     * console.log(typeof id) // string
+    */
+    static async newIdAsync(options) {
+        return getDefaultSnowflake().newIdAsync(options)
+    }
+
+    /**
+     * Generate count unique and strictly increasing SnowflakeIds at once
+     * Whole sequence blocks are reserved per millisecond, so no other call on the generator can issue the same ids
+     * @param {number} count - positive integer
+     * @param {object} options - optional, { encoding } to override the encoding of this call
+     * @returns {Array<string|bigint|Buffer>} SnowflakeIds in the requested encoding
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @throws {InvalidArgumentError} If count is not a positive integer
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * const ids = SnowflakeId.newIds(3)
+     * console.log(ids) // [ '1234567890123456789', '1234567890123456790', '1234567890123456791' ]
+    */
+    static newIds(count, options) {
+        return getDefaultSnowflake().newIds(count, options)
+    }
+
+    /**
+     * Reserve count SnowflakeIds at once and produce them lazily
+     * The reserved ids are never issued by any other call on the generator
+     * @param {number} count - positive integer
+     * @param {object} options - optional, { encoding } to override the encoding of this call
+     * @returns {object} range containing first, last, count and an iterator over the reserved ids
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @throws {InvalidArgumentError} If count is not a positive integer
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * const range = SnowflakeId.reserveRange(10000)
+     * console.log(range.first) // 1234567890123456789
+     * console.log(range.last) // 1234567890123466788
+     * for (const id of range) {
+     *     console.log(id) // 1234567890123456789, 1234567890123456790, ...
+     * }
+    */
+    static reserveRange(count, options) {
+        return getDefaultSnowflake().reserveRange(count, options)
     }
 
     /**
      * Get the first snowflake id at a timestamp
      * @param {timestamp} Number or Date
-     * @returns {string} SnowflakeId
-     * @throws {Error} If SnowflakeId generator is not initialized properly or timestamp is invalid
+     * @param {object} options - optional, { encoding } to override the encoding of this call
+     * @returns {string|bigint|Buffer} SnowflakeId in the requested encoding
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @throws {InvalidArgumentError} If timestamp is not a number or Date
+     * @throws {TimestampBeforeEpochError} If timestamp is before the first timestamp
      * @static
      * @example
      * const { SnowflakeId } = require('snowflakeid-producer')
@@ -63,18 +157,18 @@ class SnowflakeId {
      * console.log(id) // 1234567890123456789
      * console.log(typeof id) // string
     */
-    static getFirstIdAt(timestamp) {
-        if (!defaultSnowflake || !(defaultSnowflake instanceof SnowflakeIdGenerator)) {
-            throw new Error('SnowflakeId generator is not initialized. Please try again later.')
-        }
-        return defaultSnowflake.getFirstIdAtTimestamp(timestamp)
+    static getFirstIdAt(timestamp, options) {
+        return getDefaultSnowflake().getFirstIdAt(timestamp, options)
     }
 
     /**
      * Get the last snowflake id at a timestamp
      * @param {timestamp} Number or Date
-     * @returns {string} SnowflakeId
-     * @throws {Error} If SnowflakeId generator is not initialized properly or timestamp is invalid
+     * @param {object} options - optional, { encoding } to override the encoding of this call
+     * @returns {string|bigint|Buffer} SnowflakeId in the requested encoding
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @throws {InvalidArgumentError} If timestamp is not a number or Date
+     * @throws {TimestampBeforeEpochError} If timestamp is before the first timestamp
      * @static
      * @example
      * const { SnowflakeId } = require('snowflakeid-producer')
@@ -82,18 +176,18 @@ class SnowflakeId {
      * console.log(id) // 1234567890123456789
      * console.log(typeof id) // string
     */
-    static getLastIdAt(timestamp) {
-        if (!defaultSnowflake || !(defaultSnowflake instanceof SnowflakeIdGenerator)) {
-            throw new Error('SnowflakeId generator is not initialized. Please try again later.')
-        }
-        return defaultSnowflake.getLastIdAtTimestamp(timestamp)
+    static getLastIdAt(timestamp, options) {
+        return getDefaultSnowflake().getLastIdAt(timestamp, options)
     }
 
     /**
      * Parse a snowflake id and return a object with timestamp, machineId, sequence
-     * @param {string} snowflakeId - must be a numeric string
+     * @param {string|bigint|Buffer} snowflakeId - must be a string in the generator encoding (numeric by default), a bigint or an 8-byte Buffer
+     * @param {object} options - optional, { encoding } to override the encoding of a string id,
+     * { strict: true } to check the sign bit, the 64-bit range and that the timestamp is between the first timestamp and now plus maxSkewMs (default: 1000),
+     * { allowFuture, expectedMachineId } to relax the timestamp check and match the machine id in strict mode
      * @returns {object} parsed object containing timestamp, machineId, sequence
-     * @throws {Error} If snowflakeId is invalid
+     * @throws {InvalidIdError} If snowflakeId is invalid, or fails the strict checks
      * @static
      * @example
      * const { SnowflakeId } = require('snowflakeid-producer')
@@ -107,26 +201,260 @@ class SnowflakeId {
      * console.log(content.sequence) // 0
      * console.log(typeof content.sequence) // number
     */
-    static parseId(snowflakeId) {
-        if (!defaultSnowflake || !(defaultSnowflake instanceof SnowflakeIdGenerator)) {
-            throw new Error('SnowflakeId generator is not initialized. Please try again later.')
+    static parseId(snowflakeId, options) {
+        const parsedContent = getDefaultSnowflake().parseId(snowflakeId, options)
+        return {
+            timestamp: parsedContent.timestamp,
+            machineId: parsedContent.machineId,
+            sequence: parsedContent.sequence,
+        }
+    }
+
+    /**
+     * Check if a snowflake id is valid, with the strict checks of parseId
+     * @param {string|bigint|Buffer} snowflakeId - id in any encoding
+     * @param {object} options - optional, { allowFuture, expectedMachineId, maxSkewMs, encoding }
+     * @returns {boolean} true if snowflakeId is valid
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * console.log(SnowflakeId.isValid('1234567890123456789')) // true
+     * console.log(SnowflakeId.isValid('-1')) // false
+     * console.log(SnowflakeId.isValid('1234567890123456789', { expectedMachineId: 5 })) // false
+    */
+    static isValid(snowflakeId, options) {
+        return getDefaultSnowflake().isValid(snowflakeId, options)
+    }
+
+    /**
+     * Compare two ids by value, which orders them by generation time, also for decimal strings of different lengths
+     * @param {string|bigint|Buffer} a - id in any encoding
+     * @param {string|bigint|Buffer} b - id in any encoding
+     * @param {object} options - optional, { encoding } of string ids
+     * @returns {number} -1 if a is lower than b, 1 if it is higher, 0 if they are equal
+     * @throws {InvalidIdError} If an id is invalid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * console.log(SnowflakeId.compare('999999999999999999', '1000000000000000000')) // -1
+    */
+    static compare(a, b, options) {
+        return getDefaultSnowflake().compare(a, b, options)
+    }
+
+    /**
+     * Sort ids by value, which orders them by generation time
+     * @param {Array<string|bigint|Buffer>} ids - ids in any encoding
+     * @param {object} options - optional, { encoding } of string ids
+     * @returns {Array<string|bigint|Buffer>} sorted copy of ids
+     * @throws {InvalidArgumentError} If ids is not an array
+     * @throws {InvalidIdError} If an id is invalid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * console.log(SnowflakeId.sort([ '1000000000000000000', '999999999999999999' ])) // [ '999999999999999999', '1000000000000000000' ]
+    */
+    static sort(ids, options) {
+        return getDefaultSnowflake().sort(ids, options)
+    }
+
+    /**
+     * Get the lowest and highest possible ids between two timestamps, e.g. for a query BETWEEN min AND max
+     * @param {number|Date} from - first timestamp of the range
+     * @param {number|Date} to - last timestamp of the range, inclusive
+     * @param {object} options - optional, { machineId } to bound ids of one machine, { encoding } of the bounds
+     * @returns {object} { min, max } ids in the requested encoding
+     * @throws {InvalidArgumentError} If a timestamp is not a number or Date, or from is after to
+     * @throws {TimestampBeforeEpochError} If from is before the first timestamp
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * const { min, max } = SnowflakeId.timeRange(new Date('2025-01-01T00:00:00.000Z'), new Date('2025-01-02T00:00:00.000Z'))
+    */
+    static timeRange(from, to, options) {
+        return getDefaultSnowflake().timeRange(from, to, options)
+    }
+
+    /**
+     * Get the UTC hour or day of an id as a partition key
+     * @param {string|bigint|Buffer} snowflakeId - id in any encoding
+     * @param {string} granularity - 'hour' or 'day'
+     * @param {object} options - optional, { encoding } of a string id
+     * @returns {string} partition key, e.g. '2025-01-01T13' for an hour or '2025-01-01' for a day
+     * @throws {InvalidArgumentError} If granularity is not 'hour' or 'day'
+     * @throws {InvalidIdError} If snowflakeId is invalid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * console.log(SnowflakeId.bucketOf(SnowflakeId.newId(), 'hour')) // 2025-01-01T13
+    */
+    static bucketOf(snowflakeId, granularity, options) {
+        return getDefaultSnowflake().bucketOf(snowflakeId, granularity, options)
+    }
+
+    /**
+     * Get the age of an id
+     * @param {string|bigint|Buffer} snowflakeId - id in any encoding
+     * @param {object} options - optional, { encoding } of a string id
+     * @returns {number} milliseconds elapsed since the timestamp of the id, negative for ids from the future
+     * @throws {InvalidIdError} If snowflakeId is invalid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * if (SnowflakeId.ageOf(id) > 15 * 60 * 1000) console.log('Link expired')
+    */
+    static ageOf(snowflakeId, options) {
+        return getDefaultSnowflake().ageOf(snowflakeId, options)
+    }
+
+    /**
+     * Check if an id is lower than another id, or has a timestamp before a timestamp
+     * @param {string|bigint|Buffer} snowflakeId - id in any encoding
+     * @param {string|bigint|Buffer|number|Date} other - id, or a number or Date timestamp
+     * @param {object} options - optional, { encoding } of string ids
+     * @returns {boolean} true if snowflakeId is before other
+     * @throws {InvalidIdError} If an id is invalid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * console.log(SnowflakeId.isBefore(SnowflakeId.newId(), SnowflakeId.newId())) // true
+    */
+    static isBefore(snowflakeId, other, options) {
+        return getDefaultSnowflake().isBefore(snowflakeId, other, options)
+    }
+
+    /**
+     * Check if an id is higher than another id, or has a timestamp after a timestamp
+     * @param {string|bigint|Buffer} snowflakeId - id in any encoding
+     * @param {string|bigint|Buffer|number|Date} other - id, or a number or Date timestamp
+     * @param {object} options - optional, { encoding } of string ids
+     * @returns {boolean} true if snowflakeId is after other
+     * @throws {InvalidIdError} If an id is invalid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * console.log(SnowflakeId.isAfter(SnowflakeId.newId(), new Date('2025-01-01T00:00:00.000Z'))) // true
+    */
+    static isAfter(snowflakeId, other, options) {
+        return getDefaultSnowflake().isAfter(snowflakeId, other, options)
+    }
+
+    /**
+     * Get statistics of the ids issued by the default generator
+     * @returns {object} stats containing idsIssued, peakIdsPerMs, sequenceExhaustedCount, clockBackwardsCount, waitCount, waitTimeMs,
+     *  machineId, layout and remainingLifetimeMs
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * SnowflakeId.newIds(10000)
+     * console.log(SnowflakeId.getStats().idsIssued) // 10000
+    */
+    static getStats() {
+        return getDefaultSnowflake().getStats()
+    }
+
+    /**
+     * Listen to events of the default generator
+     * @param {string} event - 'sequenceExhausted', 'clockBackwards' or 'epochNearExhaustion'
+     * @param {function} listener - called with the event payload
+     * @returns {SnowflakeId} SnowflakeId for chaining
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * SnowflakeId.on('clockBackwards', ({ driftMs }) => console.warn(`Clock moved backwards by ${driftMs} ms`))
+    */
+    static on(event, listener) {
+        getDefaultSnowflake().on(event, listener)
+        return SnowflakeId
+    }
+
+    /**
+     * Wait until the default generator can issue ids, e.g. after leasing a machine id with SNOWFLAKE_MACHINE_ID=cluster
+     * @returns {Promise<SnowflakeId>} resolves once the default generator can issue ids
+     * @throws {InvalidOptionError} If the SNOWFLAKE_* environment variables or config file are not valid
+     * @throws {MachineIdUnavailableError} If no machine id can be leased (as a rejected promise)
+     * @static
+     * @example
+     * const { SnowflakeId } = require('snowflakeid-producer')
+     * await SnowflakeId.ready()
+     * const id = SnowflakeId.newId()
+    */
+    static ready() {
+        return getDefaultSnowflake().ready().then(() => SnowflakeId)
+    }
+
+    /**
+     * Configure the default generator with CustomSnowflakeId options instead of the SNOWFLAKE_* environment variables
+     * Must be called once, before the first id is issued; listeners added with SnowflakeId.on() are kept
+     * A default generator created on first use is closed, which stops its timers and releases its machine id lease
+     * @param {object} options - CustomSnowflakeId options, e.g. { MachineId, MachineIdAllocator, FirstTimestamp }
+     * @returns {Promise<SnowflakeId>} resolves once the default generator can issue ids, e.g. after leasing a machine id
+     * @throws {AlreadyInitializedError} If configure was called already or the default generator issued ids
+     * @throws {InvalidOptionError} If options are not valid
+     * @static
+     * @example
+     * const { SnowflakeId, machineIdFromHostname } = require('snowflakeid-producer')
+     * await SnowflakeId.configure({ MachineId: machineIdFromHostname(), FirstTimestamp: new Date('2025-01-01T00:00:00.000Z') })
+     * const id = SnowflakeId.newId()
+    */
+    static configure(options) {
+        if (configured) {
+            throw new AlreadyInitializedError('SnowflakeId.configure() can only be called once')
+        }
+        if (defaultInstance && defaultInstance.getStats().idsIssued > 0) {
+            throw new AlreadyInitializedError('SnowflakeId.configure() must be called before the first id is issued')
         }
 
-        try {
-            const parsedContent = defaultSnowflake.parseId(snowflakeId)
-            return {
-                timestamp: parsedContent.timestamp,
-                machineId: parsedContent.machineId,
-                sequence: parsedContent.sequence,
+        const instance = new CustomSnowflakeId(options)
+        if (defaultInstance) {
+            for (const event of defaultInstance.eventNames()) {
+                for (const listener of defaultInstance.listeners(event)) {
+                    instance.on(event, listener)
+                }
             }
-        } catch (error) {
-            throw new Error('snowflakeId must be a valid numeric string')
         }
+        const previous = defaultInstance
+        defaultInstance = instance
+        configured = true
+        const closed = previous ? previous.close() : Promise.resolve()
+        return closed.then(() => instance.ready()).then(() => SnowflakeId)
     }
 }
 
 module.exports = {
     SnowflakeId,
     CustomSnowflakeId,
+    MachineIdAllocator,
+    MemoryMachineIdAllocator,
+    FileMachineIdAllocator,
+    ClusterMachineIdAllocator,
+    StateStore,
+    FileStateStore,
+    createServer,
+    toPrometheus,
+    Clock,
+    SystemClock,
+    MonotonicClock,
+    FakeClock,
+    IdObfuscator,
+    TypedIdFactory,
+    LayoutRegistry,
+    machineIdFromHostname,
+    SnowflakeIdError,
+    InvalidOptionError,
+    InvalidArgumentError,
+    InvalidIdError,
+    NotInitializedError,
+    AlreadyInitializedError,
+    TimestampBeforeEpochError,
+    LayoutExpiredError,
+    ClockBackwardsError,
+    MachineIdUnavailableError,
+    LeaseLostError,
+    InvalidStateError,
+    ClockBehindStateError,
 }
 
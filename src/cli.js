@@ -0,0 +1,206 @@
+// Command line interface of snowflakeid
+// Layout options come from a JSON config file of CustomSnowflakeId options, overridden by flags
+
+const fs = require('fs')
+const { parseArgs } = require('util')
+const CustomSnowflakeId = require('./customSnowflake')
+const { parseDate } = require('./dates')
+const { toText } = require('./encoding')
+
+const USAGE = `Usage: snowflakeid <command> [options]
+
+Commands:
+  generate [--count N]                 Generate N ids (default: 1)
+  parse [id...]                        Decode ids, read from stdin when none are given
+  range --from <date> --to <date>      First and last possible ids between two dates
+
+Layout options:
+  --config <file>                      JSON file of CustomSnowflakeId options
+  --preset <name>                      Layout of twitter, discord, instagram, mastodon or sonyflake ids
+  --timestamp-bits <n>                 TimestampBits
+  --time-unit-ms <n>                   TimeUnitMs
+  --machine-id-bits <n>                MachineIdBits
+  --sequence-bits <n>                  SequenceBits
+  --machine-id <n>                     MachineId
+  --epoch <date>                       FirstTimestamp, as an ISO date or milliseconds
+  --encoding <name>                    Encoding of printed and parsed ids
+
+Output options:
+  --format <format>                    parse: json or table (default: table)
+                                       range: text, json or sql (default: text)
+  -h, --help                           Show this help
+`
+
+const OPTIONS = {
+  count: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  format: { type: 'string' },
+  config: { type: 'string' },
+  preset: { type: 'string' },
+  'timestamp-bits': { type: 'string' },
+  'time-unit-ms': { type: 'string' },
+  'machine-id-bits': { type: 'string' },
+  'sequence-bits': { type: 'string' },
+  'machine-id': { type: 'string' },
+  epoch: { type: 'string' },
+  encoding: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+}
+
+// Flags which map to numeric CustomSnowflakeId options
+const NUMBER_FLAGS = {
+  'timestamp-bits': 'TimestampBits',
+  'time-unit-ms': 'TimeUnitMs',
+  'machine-id-bits': 'MachineIdBits',
+  'sequence-bits': 'SequenceBits',
+  'machine-id': 'MachineId',
+}
+
+class UsageError extends Error {}
+
+function parseNumber(value, flag) {
+  const number = Number(value)
+  if (value === '' || !Number.isFinite(number)) {
+    throw new UsageError(`--${flag} must be a number`)
+  }
+  return number
+}
+
+function parseDateFlag(value, flag) {
+  const date = parseDate(value)
+  if (!date) {
+    throw new UsageError(`--${flag} must be an ISO date or a milliseconds timestamp`)
+  }
+  return date
+}
+
+function loadOptions(values) {
+  // Read options of the config file, then apply flags on top
+  const options = {}
+  if (values.config) {
+    Object.assign(options, JSON.parse(fs.readFileSync(values.config, 'utf8')))
+    if (typeof options.FirstTimestamp === 'string') {
+      options.FirstTimestamp = parseDateFlag(options.FirstTimestamp, 'config FirstTimestamp')
+    }
+  }
+  for (const [ flag, option ] of Object.entries(NUMBER_FLAGS)) {
+    if (values[flag] !== undefined) {
+      options[option] = parseNumber(values[flag], flag)
+    }
+  }
+  if (values.epoch !== undefined) {
+    options.FirstTimestamp = parseDateFlag(values.epoch, 'epoch')
+  }
+  if (values.encoding !== undefined) {
+    options.Encoding = values.encoding
+  }
+  return options
+}
+
+function formatTable(rows) {
+  // Align columns of rows of strings
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)))
+  return rows.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n')
+}
+
+async function readIds(stdin) {
+  // Read whitespace separated ids from stdin
+  let input = ''
+  stdin.setEncoding('utf8')
+  for await (const chunk of stdin) {
+    input += chunk
+  }
+  return input.split(/\s+/).filter(Boolean)
+}
+
+function generate(snowflakeId, values) {
+  const count = values.count === undefined ? 1 : parseNumber(values.count, 'count')
+  return snowflakeId.newIds(count).map(toText).join('\n')
+}
+
+function parse(snowflakeId, ids, values) {
+  const format = values.format || 'table'
+  if (![ 'json', 'table' ].includes(format)) {
+    throw new UsageError('--format of parse must be json or table')
+  }
+  const parsed = ids.map((id) => Object.assign({ id }, snowflakeId.parseId(id)))
+  if (format === 'json') {
+    return JSON.stringify(parsed, null, 2)
+  }
+  const columns = Object.keys(parsed[0])
+  const rows = parsed.map((item) => columns.map((column) => item[column] instanceof Date ? item[column].toISOString() : String(item[column])))
+  return formatTable([ columns ].concat(rows))
+}
+
+function range(snowflakeId, values) {
+  if (values.from === undefined || values.to === undefined) {
+    throw new UsageError('range requires --from and --to')
+  }
+  const format = values.format || 'text'
+  if (![ 'text', 'json', 'sql' ].includes(format)) {
+    throw new UsageError('--format of range must be text, json or sql')
+  }
+  const from = parseDateFlag(values.from, 'from')
+  const to = parseDateFlag(values.to, 'to')
+  if (from.getTime() > to.getTime()) {
+    throw new UsageError('--from of range must not be after --to')
+  }
+  const firstId = toText(snowflakeId.getFirstIdAt(from))
+  const lastId = toText(snowflakeId.getLastIdAt(to))
+  if (format === 'json') {
+    return JSON.stringify({ from: from.toISOString(), to: to.toISOString(), firstId, lastId }, null, 2)
+  }
+  if (format === 'sql') {
+    const quote = /^\d+$/.test(firstId) ? '' : '\''
+    return `BETWEEN ${quote}${firstId}${quote} AND ${quote}${lastId}${quote}`
+  }
+  return `${firstId}\n${lastId}`
+}
+
+/**
+ * Run the command line interface
+ * @param {string[]} argv - arguments after the executable and script
+ * @param {object} io - { stdin, stdout, stderr } streams
+ * @returns {Promise<number>} exit code
+ */
+async function run(argv, io) {
+  const { stdin, stdout, stderr } = io || process
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+    const [ command, ...args ] = positionals
+    if (values.help || !command) {
+      stdout.write(USAGE)
+      return values.help ? 0 : 1
+    }
+
+    const options = loadOptions(values)
+    const snowflakeId = values.preset ? CustomSnowflakeId.preset(values.preset, options) : new CustomSnowflakeId(options)
+    let output
+    if (command === 'generate') {
+      output = generate(snowflakeId, values)
+    } else if (command === 'parse') {
+      const ids = args.length > 0 ? args : await readIds(stdin)
+      if (ids.length === 0) {
+        throw new UsageError('parse requires ids as arguments or on stdin')
+      }
+      output = parse(snowflakeId, ids, values)
+    } else if (command === 'range') {
+      output = range(snowflakeId, values)
+    } else {
+      throw new UsageError(`Unknown command '${command}'`)
+    }
+    stdout.write(`${output}\n`)
+    return 0
+  } catch (error) {
+    stderr.write(`snowflakeid: ${error.message}\n`)
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      stderr.write('Run snowflakeid --help for usage\n')
+    }
+    return 1
+  }
+}
+
+module.exports = {
+  run,
+}
@@ -0,0 +1,99 @@
+// Clock sources of generators
+// Generators read the time, wait for the next time unit and sleep only through their clock,
+// so tests can drive them with a FakeClock instead of patching Date.now
+
+const { InvalidArgumentError } = require('./errors')
+
+class Clock {
+  // Current time in milliseconds since the Unix epoch
+  now() {
+    throw new Error('now is not implemented')
+  }
+
+  // Block until the clock reaches untilMs, returns the current time
+  spin(untilMs) {
+    let now = this.now()
+    while (now < untilMs) {
+      now = this.now()
+    }
+    return now
+  }
+
+  // Resolve after ms milliseconds without blocking the event loop
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+  }
+}
+
+// Wall clock time, follows NTP corrections including steps backwards
+class SystemClock extends Clock {
+  now() {
+    return Date.now()
+  }
+}
+
+// Wall clock time read once, then advanced with process.hrtime, so it never moves backwards
+// It drifts from wall clock time by the NTP corrections made while the process runs
+class MonotonicClock extends Clock {
+  constructor() {
+    super()
+    this.originMs = Date.now()
+    this.originNs = process.hrtime.bigint()
+  }
+
+  now() {
+    return this.originMs + Number((process.hrtime.bigint() - this.originNs) / BigInt(1000000))
+  }
+}
+
+// Clock which only moves when told to, waiting and sleeping advance it instantly
+class FakeClock extends Clock {
+  constructor(options) {
+    super()
+    const { now } = options || {}
+    this.currentMs = 0
+    this.set(now === undefined ? Date.now() : now)
+  }
+
+  now() {
+    return this.currentMs
+  }
+
+  // Set the time to a milliseconds timestamp or Date, it can move backwards
+  set(time) {
+    const ms = time instanceof Date ? time.getTime() : time
+    if (typeof ms !== 'number' || !Number.isFinite(ms)) {
+      throw new InvalidArgumentError('Time must be a number or a Date object')
+    }
+    this.currentMs = Math.floor(ms)
+    return this
+  }
+
+  // Move the time by ms milliseconds, negative values move it backwards
+  advance(ms) {
+    if (typeof ms !== 'number' || !Number.isFinite(ms)) {
+      throw new InvalidArgumentError('Milliseconds must be a number')
+    }
+    this.currentMs += Math.floor(ms)
+    return this
+  }
+
+  spin(untilMs) {
+    if (this.currentMs < untilMs) {
+      this.currentMs = untilMs
+    }
+    return this.currentMs
+  }
+
+  sleep(ms) {
+    this.advance(Math.max(ms, 0))
+    return Promise.resolve()
+  }
+}
+
+module.exports = {
+  Clock,
+  SystemClock,
+  MonotonicClock,
+  FakeClock,
+}
@@ -0,0 +1,192 @@
+// Machine id allocator for Node's cluster module
+// The primary process owns a pool of machine ids and hands a distinct one to each worker over IPC,
+// machine ids of a worker are released when it exits
+
+const cluster = require('cluster')
+const crypto = require('crypto')
+const { MachineIdAllocator } = require('./machineIdAllocator')
+const { SnowflakeIdError, InvalidOptionError, InvalidArgumentError, MachineIdUnavailableError } = require('./errors')
+
+const MESSAGE_TYPE = 'snowflakeid:machineId'
+
+// Pool of the primary process, created by setupPrimary
+let primaryPool = null
+
+class MachineIdPool {
+  constructor(firstMachineId, lastMachineId) {
+    this.firstMachineId = firstMachineId
+    this.lastMachineId = lastMachineId
+    this.owners = new Map()
+  }
+
+  assign(owner, maxMachineId) {
+    // Take the first machine id of the pool which is free and fits in the layout
+    const lastMachineId = Math.min(this.lastMachineId, maxMachineId)
+    for (let machineId = this.firstMachineId; machineId <= lastMachineId; machineId++) {
+      if (!this.owners.has(machineId)) {
+        this.owners.set(machineId, { owner, token: crypto.randomUUID() })
+        return { machineId, token: this.owners.get(machineId).token }
+      }
+    }
+    throw new MachineIdUnavailableError(`All machine ids between ${this.firstMachineId} and ${lastMachineId} are assigned`)
+  }
+
+  holds(machineId, token) {
+    const current = this.owners.get(machineId)
+    return Boolean(current && current.token === token)
+  }
+
+  release(machineId, token) {
+    if (this.holds(machineId, token)) {
+      this.owners.delete(machineId)
+    }
+  }
+
+  releaseOwner(owner) {
+    for (const [ machineId, current ] of this.owners) {
+      if (current.owner === owner) {
+        this.owners.delete(machineId)
+      }
+    }
+  }
+
+  handle(owner, message) {
+    // Answer a request of a worker
+    const { action, machineId, token, maxMachineId } = message
+    if (action === 'acquire') {
+      return this.assign(owner, maxMachineId)
+    }
+    if (action === 'renew') {
+      return { held: this.holds(machineId, token) }
+    }
+    if (action === 'release') {
+      this.release(machineId, token)
+      return {}
+    }
+    throw new InvalidArgumentError(`Unknown machine id action '${action}'`)
+  }
+}
+
+class ClusterMachineIdAllocator extends MachineIdAllocator {
+  /**
+   * Start handing out machine ids to workers, must be called in the primary process before forking workers
+   * @param {object} options - optional, { firstMachineId, lastMachineId } range of machine ids of this host (default: all machine ids)
+   * @returns {void}
+   */
+  static setupPrimary(options) {
+    if (cluster.isWorker) {
+      throw new InvalidOptionError('setupPrimary must be called in the primary process')
+    }
+    if (primaryPool) return
+
+    const { firstMachineId, lastMachineId } = options || {}
+    const first = firstMachineId || 0
+    const last = (lastMachineId === null || lastMachineId === undefined) ? Number.MAX_SAFE_INTEGER : lastMachineId
+    if (!Number.isInteger(first) || !Number.isInteger(last) || first < 0 || last < first) {
+      throw new InvalidOptionError('firstMachineId and lastMachineId must be integers with 0 <= firstMachineId <= lastMachineId')
+    }
+    primaryPool = new MachineIdPool(first, last)
+
+    // Answer requests of workers and release machine ids of exited workers
+    cluster.on('message', (worker, message) => {
+      if (!message || message.type !== MESSAGE_TYPE || message.action === undefined) return
+      let reply
+      try {
+        reply = Object.assign({ type: MESSAGE_TYPE, requestId: message.requestId }, primaryPool.handle(worker.id, message))
+      } catch (error) {
+        reply = { type: MESSAGE_TYPE, requestId: message.requestId, error: { message: error.message, code: error.code } }
+      }
+      if (worker.isConnected()) {
+        worker.send(reply)
+      }
+    })
+    cluster.on('exit', (worker) => primaryPool.releaseOwner(worker.id))
+  }
+
+  /**
+   * Lease machine ids from the pool of the primary process
+   * @param {object} options - optional, { ttlMs, requestTimeoutMs } time to wait for the primary process to answer (default: 5000)
+   * @throws {InvalidOptionError} If requestTimeoutMs is not a positive integer
+   */
+  constructor(options) {
+    super(options)
+    const { requestTimeoutMs } = options || {}
+    if (requestTimeoutMs !== undefined && (!Number.isInteger(requestTimeoutMs) || requestTimeoutMs <= 0)) {
+      throw new InvalidOptionError('requestTimeoutMs must be a positive integer')
+    }
+    this.requestTimeoutMs = requestTimeoutMs || 5000
+    this.pending = new Map()
+    this.listening = false
+  }
+
+  request(message) {
+    // Send a request to the primary process and wait for its reply
+    if (!this.listening) {
+      this.listening = true
+      process.on('message', (reply) => {
+        if (!reply || reply.type !== MESSAGE_TYPE || !this.pending.has(reply.requestId)) return
+        const { resolve, reject, timer } = this.pending.get(reply.requestId)
+        this.pending.delete(reply.requestId)
+        clearTimeout(timer)
+        if (reply.error) {
+          const error = reply.error.code === 'ERR_MACHINE_ID_UNAVAILABLE'
+            ? new MachineIdUnavailableError(reply.error.message)
+            : new SnowflakeIdError(reply.error.message, reply.error.code || 'ERR_MACHINE_ID_UNAVAILABLE')
+          reject(error)
+        } else {
+          resolve(reply)
+        }
+      })
+    }
+
+    const requestId = crypto.randomUUID()
+    return new Promise((resolve, reject) => {
+      // Give up if the primary process does not answer, e.g. because it never called setupPrimary
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId)
+        reject(new MachineIdUnavailableError(`Primary process did not answer within ${this.requestTimeoutMs} ms, ClusterMachineIdAllocator.setupPrimary() must be called in the primary process`))
+      }, this.requestTimeoutMs)
+      this.pending.set(requestId, { resolve, reject, timer })
+      process.send(Object.assign({ type: MESSAGE_TYPE, requestId }, message), (error) => {
+        if (error && this.pending.has(requestId)) {
+          this.pending.delete(requestId)
+          clearTimeout(timer)
+          reject(new MachineIdUnavailableError('Request to the primary process can not be sent', { cause: error }))
+        }
+      })
+    })
+  }
+
+  async acquire(maxMachineId) {
+    // The primary process takes machine ids from its own pool
+    if (!cluster.isWorker) {
+      ClusterMachineIdAllocator.setupPrimary()
+      const { machineId, token } = primaryPool.assign('primary', maxMachineId)
+      return { machineId, token, expiresAt: new Date(Date.now() + this.ttlMs) }
+    }
+    const { machineId, token } = await this.request({ action: 'acquire', maxMachineId })
+    return { machineId, token, expiresAt: new Date(Date.now() + this.ttlMs) }
+  }
+
+  async renew(lease) {
+    const held = cluster.isWorker
+      ? (await this.request({ action: 'renew', machineId: lease.machineId, token: lease.token })).held
+      : Boolean(primaryPool && primaryPool.holds(lease.machineId, lease.token))
+    if (!held) {
+      return null
+    }
+    return { machineId: lease.machineId, token: lease.token, expiresAt: new Date(Date.now() + this.ttlMs) }
+  }
+
+  async release(lease) {
+    if (cluster.isWorker) {
+      await this.request({ action: 'release', machineId: lease.machineId, token: lease.token })
+    } else if (primaryPool) {
+      primaryPool.release(lease.machineId, lease.token)
+    }
+  }
+}
+
+module.exports = {
+  ClusterMachineIdAllocator,
+}
@@ -0,0 +1,111 @@
+// Configuration of the default SnowflakeId generator from environment variables and a JSON config file
+// Variables override options of the file given in SNOWFLAKE_CONFIG
+
+const fs = require('fs')
+const os = require('os')
+const { ClusterMachineIdAllocator } = require('./clusterMachineIdAllocator')
+const { parseDate } = require('./dates')
+const { InvalidOptionError } = require('./errors')
+
+// Environment variables which map to numeric CustomSnowflakeId options
+const NUMBER_VARIABLES = {
+  SNOWFLAKE_MACHINE_ID: 'MachineId',
+  SNOWFLAKE_MACHINE_BITS: 'MachineIdBits',
+  SNOWFLAKE_SEQUENCE_BITS: 'SequenceBits',
+  SNOWFLAKE_TIMESTAMP_BITS: 'TimestampBits',
+  SNOWFLAKE_TIME_UNIT_MS: 'TimeUnitMs',
+}
+
+// Environment variables which map to string CustomSnowflakeId options
+const STRING_VARIABLES = {
+  SNOWFLAKE_ENCODING: 'Encoding',
+  SNOWFLAKE_CLOCK_BACKWARDS_POLICY: 'ClockBackwardsPolicy',
+}
+
+/**
+ * Derive a machine id from the ordinal of a Kubernetes StatefulSet pod name, e.g. 3 for api-3
+ * @param {string} hostname - optional (default: HOSTNAME environment variable or os.hostname())
+ * @returns {number} ordinal of the pod
+ * @throws {InvalidOptionError} If hostname does not end with -<ordinal>
+ * @example
+ * const { SnowflakeId, machineIdFromHostname } = require('snowflakeid-producer')
+ * SnowflakeId.configure({ MachineId: machineIdFromHostname() })
+ */
+function machineIdFromHostname(hostname) {
+  const name = hostname === undefined ? (process.env.HOSTNAME || os.hostname()) : hostname
+  const match = /-(\d+)$/.exec(typeof name === 'string' ? name : '')
+  if (!match) {
+    throw new InvalidOptionError(`Hostname '${name}' does not end with a pod ordinal like -3`)
+  }
+  return Number(match[1])
+}
+
+function parseDateOption(value, name) {
+  const date = parseDate(value)
+  if (!date) {
+    throw new InvalidOptionError(`${name} must be an ISO date or a milliseconds timestamp`)
+  }
+  return date
+}
+
+function readConfigFile(filePath) {
+  let options
+  try {
+    options = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    throw new InvalidOptionError(`Config file ${filePath} can not be read as JSON`, { cause: error })
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new InvalidOptionError(`Config file ${filePath} must contain an object of CustomSnowflakeId options`)
+  }
+  if (typeof options.FirstTimestamp === 'string') {
+    options.FirstTimestamp = parseDateOption(options.FirstTimestamp, 'FirstTimestamp of the config file')
+  }
+  return options
+}
+
+/**
+ * Read CustomSnowflakeId options of the default generator from environment variables
+ * SNOWFLAKE_CONFIG names a JSON file of options, which SNOWFLAKE_MACHINE_ID, SNOWFLAKE_MACHINE_BITS, SNOWFLAKE_SEQUENCE_BITS,
+ * SNOWFLAKE_TIMESTAMP_BITS, SNOWFLAKE_TIME_UNIT_MS, SNOWFLAKE_EPOCH, SNOWFLAKE_ENCODING and SNOWFLAKE_CLOCK_BACKWARDS_POLICY override
+ * A MachineId of 'hostname' is derived from the pod ordinal of HOSTNAME, a MachineId of 'cluster' is leased from the cluster primary process
+ * @param {object} env - environment variables
+ * @returns {object} CustomSnowflakeId options
+ * @throws {InvalidOptionError} If a variable or the config file is not valid
+ */
+function loadEnvOptions(env) {
+  const options = env.SNOWFLAKE_CONFIG ? readConfigFile(env.SNOWFLAKE_CONFIG) : {}
+  for (const [ variable, option ] of Object.entries(NUMBER_VARIABLES)) {
+    const value = env[variable]
+    if (value === undefined || value === '') continue
+    if (variable === 'SNOWFLAKE_MACHINE_ID' && (value === 'hostname' || value === 'cluster')) {
+      options[option] = value
+      continue
+    }
+    if (!/^\d+$/.test(value)) {
+      throw new InvalidOptionError(`${variable} must be a non-negative integer`)
+    }
+    options[option] = Number(value)
+  }
+  for (const [ variable, option ] of Object.entries(STRING_VARIABLES)) {
+    if (env[variable]) {
+      options[option] = env[variable]
+    }
+  }
+  if (env.SNOWFLAKE_EPOCH) {
+    options.FirstTimestamp = parseDateOption(env.SNOWFLAKE_EPOCH, 'SNOWFLAKE_EPOCH')
+  }
+  if (options.MachineId === 'hostname') {
+    options.MachineId = machineIdFromHostname(env.HOSTNAME || os.hostname())
+  }
+  if (options.MachineId === 'cluster') {
+    delete options.MachineId
+    options.MachineIdAllocator = new ClusterMachineIdAllocator()
+  }
+  return options
+}
+
+module.exports = {
+  loadEnvOptions,
+  machineIdFromHostname,
+}
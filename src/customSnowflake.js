@@ -1,4 +1,17 @@
+const EventEmitter = require('events')
 const SnowflakeIdGenerator = require('./snowflake')
+const SharedSnowflakeIdGenerator = require('./sharedSnowflake')
+const { ENCODINGS, encodeId } = require('./encoding')
+const { MachineIdAllocator } = require('./machineIdAllocator')
+const { StateStore } = require('./stateStore')
+const { Clock, SystemClock } = require('./clock')
+const { PRESETS, LAYOUT_OPTIONS } = require('./presets')
+const { IdObfuscator } = require('./obfuscator')
+const { InvalidOptionError, InvalidIdError, NotInitializedError, LeaseLostError, ClockBehindStateError } = require('./errors')
+
+const CLOCK_BACKWARDS_POLICIES = [ 'throw', 'wait', 'logical' ]
+const STATE_RECOVERY_POLICIES = [ 'wait', 'refuse' ]
+const GENERATOR_EVENTS = [ 'sequenceExhausted', 'clockBackwards', 'epochNearExhaustion' ]
 
 /**
  * Create a custom SnowflakeId generator
@@ -7,14 +20,52 @@ const SnowflakeIdGenerator = require('./snowflake')
  * @param {number} options.SequenceBits - Number - Number of bits for sequence (default: 12)
  * @param {number} options.MachineId - Number - Machine id (default: Skipping this parameter will generate machine id from mac address)
  * @param {timestamp} options.FirstTimestamp - Number or Date - First timestamp (default: new Date('2024-01-01T00:00:00.000Z'))
- * @validations MachineIdBits and SequenceBits must be greater than 0 and sum of both must be equal to 22
- * @validations MachineId must be between 0 and power(2, MachineIdBits) - 1
+ * @param {number} options.TimestampBits - Number - Number of bits for timestamp (default: 41)
+ * @param {number} options.TimeUnitMs - Number - Milliseconds per timestamp unit (default: 1)
+ * @param {string} options.ClockBackwardsPolicy - String - 'throw', 'wait' or 'logical', what to do when the clock moves backwards (default: 'wait')
+ * @param {number} options.ClockBackwardsToleranceMs - Number - Longest rollback to wait out with the 'wait' policy before throwing (default: no limit)
+ * @param {function} options.OnClockBackwards - Function - Called once per rollback with { driftMs, lastTimestamp, currentTimestamp, policy }
+ * @param {string} options.Encoding - String - 'decimal', 'bigint', 'buffer', 'hex', 'base62' or 'base32' (Crockford), encoding of ids (default: 'decimal')
+ * @param {MachineIdAllocator} options.MachineIdAllocator - MachineIdAllocator - Leases a unique machine id at startup and renews it in the background (default: none)
+ * @param {Array<object>} options.Schema - Array - Named fields between timestamp and sequence, ordered from the most significant bits, each { name, bits, value }
+ *  where fields without value are dynamic and given per call (default: a single machineId field of MachineIdBits bits)
+ * @param {SharedArrayBuffer} options.SharedState - SharedArrayBuffer - State from CustomSnowflakeId.createSharedState() shared by generators of all worker_threads (default: none)
+ * @param {StateStore} options.StateStore - StateStore - Persists a high-water timestamp, so restarts can't re-issue ids after a clock reset (default: none)
+ * @param {number} options.StateSaveIntervalMs - Number - How often the high-water timestamp is saved while ids are issued (default: 1000)
+ * @param {number} options.StateSafetyMarginMs - Number - How far the high-water timestamp is saved ahead of the next save (default: 1000)
+ * @param {string} options.StateRecoveryPolicy - String - 'wait' or 'refuse', whether ready() waits for the clock to pass the recovered high-water timestamp or rejects (default: 'wait')
+ * @param {Clock} options.Clock - Clock - Source of time: SystemClock, MonotonicClock, FakeClock or a subclass of Clock (default: SystemClock)
+ * @param {boolean} options.UseSignBit - Boolean - Use the sign bit for the layout, allowing 64 bits in total like Discord and Instagram ids (default: false)
+ * @param {boolean} options.SequenceBeforeFields - Boolean - Place the sequence between timestamp and node fields like Sonyflake ids (default: false)
+ * @param {IdObfuscator} options.Obfuscator - IdObfuscator - Keys of encodeId and decodeId, which turn ids into public ids and back (default: none)
+ * @param {number} options.LayoutVersion - Number - Layout version embedded in the top bits below the sign bit, which tells a LayoutRegistry the layout of an id (default: none)
+ * @param {number} options.LayoutVersionBits - Number - Number of bits for the layout version, taken from the 63 bits of the layout (default: 2 with LayoutVersion)
+ * @param {number} options.EpochWarningMs - Number - Remaining lifetime at which epochNearExhaustion is emitted (default: 1 year or a tenth of the lifetime, whichever is shorter)
+ * @validations MachineIdBits and SequenceBits must be greater than 0 and sum of all bits must not exceed 63 (64 with UseSignBit)
+ * @validations MachineIdBits, SequenceBits and MachineId must be integers, MachineId between 0 and power(2, MachineIdBits) - 1
  * @validations FirstTimestamp must be between 0 and current timestamp
- * @throws {Error} If options is not valid
+ * @validations TimestampBits and TimeUnitMs must be positive integers and the layout must not be expired
+ * @validations ClockBackwardsToleranceMs must be a non-negative number
+ * @validations MachineId and MachineIdAllocator can not be used together
+ * @validations Schema can not be used with MachineIdBits or MachineId, field names must be unique and not reserved for parsed ids, and values must fit in their bits
+ * @validations Schema may be empty for layouts of timestamp and sequence only
+ * @validations MachineIdAllocator with Schema requires a dynamic 'machineId' field
+ * @validations SharedState must be a SharedArrayBuffer created by CustomSnowflakeId.createSharedState()
+ * @validations SharedState requires TimestampBits and SequenceBits to sum to at most 63
+ * @validations StateSaveIntervalMs must be a positive integer and StateSafetyMarginMs a non-negative integer
+ * @validations EpochWarningMs must be a non-negative integer
+ * @validations Obfuscator must be an instance of IdObfuscator
+ * @validations LayoutVersionBits must be between 1 and 8, LayoutVersion must fit in them and can not be used with UseSignBit
+ * @validations Clock must be an instance of Clock and FirstTimestamp must not be ahead of it
+ * @throws {InvalidOptionError} If options is not valid
  * @class
- * @methods newId, getFirstIdAt, getLastIdAt, parseId
+ * @static createSharedState, preset
+ * @methods newId, newIdAsync, newIds, reserveRange, getFirstIdAt, getLastIdAt, parseId, isValid, compare, sort, timeRange,
+ *  bucketOf, ageOf, isBefore, isAfter, encodeId, decodeId, getLayout, getStats, ready, close
+ * @events sequenceExhausted { timestamp, maxSequence }, clockBackwards { driftMs, lastTimestamp, currentTimestamp, policy },
+ *  epochNearExhaustion { expiresAt, remainingMs }, leaseRenewalFailed { machineId, expiresAt, error }
  * @example
- * const { CustomSnowflakeId } = require('snowflakeid-producer')
+ * const { CustomSnowflakeId, FakeClock } = require('snowflakeid-producer')
  * const snowflakeId = new CustomSnowflakeId({
  *  MachineIdBits: 10,
  *  SequenceBits: 12,
@@ -22,6 +73,31 @@ const SnowflakeIdGenerator = require('./snowflake')
  *  FirstTimestamp: new Date('2024-01-01T00:00:00.000Z') or 1735689600000
  * })
  *
+ * // Sonyflake like layout: 39 bits timestamp in 10 ms units, 16 bits machine id, 8 bits sequence
+ * // Twitter like layout: 5 bits datacenter id and 5 bits worker id
+ * const twitter = new CustomSnowflakeId({
+ *  Schema: [ { name: 'datacenterId', bits: 5, value: 1 }, { name: 'workerId', bits: 5, value: 3 } ],
+ *  SequenceBits: 12,
+ * })
+ *
+ * // Shard and entity type given per call
+ * const sharded = new CustomSnowflakeId({ Schema: [ { name: 'shard', bits: 6 }, { name: 'entityType', bits: 4 } ] })
+ * const shardId = sharded.newId({ fields: { shard: 7, entityType: 2 } })
+ * const content = sharded.parseId(shardId) // { timestamp, shard: 7, entityType: 2, sequence }
+ * const firstShardId = sharded.getFirstIdAt(Date.now(), { fields: { shard: 7 } })
+ *
+ * const sonyflake = new CustomSnowflakeId({
+ *  TimestampBits: 39,
+ *  TimeUnitMs: 10,
+ *  MachineIdBits: 16,
+ *  SequenceBits: 8,
+ * })
+ *
+ * // Deterministic ids in tests, waiting for the next millisecond advances the fake clock
+ * const clock = new FakeClock({ now: new Date('2025-01-01T00:00:00.000Z') })
+ * const testId = new CustomSnowflakeId({ MachineId: 1, Clock: clock })
+ * clock.advance(5)
+ *
  * const id = snowflakeId.newId()
  * console.log(id) // 1234567890123456789
  * console.log(typeof id) // string
@@ -44,76 +120,365 @@ const SnowflakeIdGenerator = require('./snowflake')
  * console.log(content.sequence) // 0
  * console.log(typeof content.sequence) // number
 */
-class CustomSnowflakeId {
+class CustomSnowflakeId extends EventEmitter {
+    /**
+     * Create the state shared by generators of all worker_threads
+     * Pass it to the threads, e.g. through workerData, and create each generator with the same options and SharedState
+     * @returns {SharedArrayBuffer} shared state
+     * @static
+     * @example
+     * const { Worker } = require('worker_threads')
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const sharedState = CustomSnowflakeId.createSharedState()
+     * new Worker('./worker.js', { workerData: { sharedState } })
+     *
+     * // worker.js
+     * const { workerData } = require('worker_threads')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5, SharedState: workerData.sharedState })
+    */
+    static createSharedState() {
+        return SharedSnowflakeIdGenerator.createSharedState()
+    }
+
+    /**
+     * Create a generator with the layout of a third-party snowflake format
+     * parseId returns the native fields of the format, e.g. { timestamp, workerId, processId, sequence } for Discord
+     * @param {string} name - 'twitter', 'discord', 'instagram', 'mastodon' or 'sonyflake'
+     * @param {object} options - optional, CustomSnowflakeId options other than the layout ones,
+     *  and Fields with values of the format's fields, which are otherwise given per call
+     * @returns {CustomSnowflakeId} generator with the layout of the format
+     * @throws {InvalidOptionError} If name is not a preset, or options change the layout
+     * @static
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const discord = CustomSnowflakeId.preset('discord')
+     * console.log(discord.parseId('175928847299117063')) // { timestamp: 2016-04-30T11:18:25.796Z, workerId: 1, processId: 0, sequence: 7 }
+     *
+     * // Snowflake of a pagination cursor, e.g. messages after a date
+     * const after = discord.getFirstIdAt(new Date('2025-01-01T00:00:00.000Z'))
+     *
+     * const twitter = CustomSnowflakeId.preset('twitter', { Fields: { datacenterId: 1, workerId: 3 } })
+     * const id = twitter.newId()
+    */
+    static preset(name, options) {
+        if (!Object.prototype.hasOwnProperty.call(PRESETS, name)) {
+            throw new InvalidOptionError(`Preset must be one of ${Object.keys(PRESETS).map((preset) => `'${preset}'`).join(', ')}`)
+        }
+        if (options !== undefined && (options === null || typeof options !== 'object' || Array.isArray(options))) {
+            throw new InvalidOptionError('Options must be an object')
+        }
+        const presetOptions = Object.assign({}, options)
+        for (const key of Object.keys(presetOptions)) {
+            if (LAYOUT_OPTIONS.includes(key)) {
+                throw new InvalidOptionError(`${key} can not be used with a preset, it is part of the '${name}' layout`)
+            }
+        }
+
+        // Fix values of the preset fields given in Fields
+        const fields = presetOptions.Fields || {}
+        delete presetOptions.Fields
+        if (typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new InvalidOptionError('Fields must be an object')
+        }
+        const schema = PRESETS[name].Schema.map((field) => Object.assign({}, field, { value: fields[field.name] }))
+        for (const fieldName of Object.keys(fields)) {
+            if (!schema.some((field) => field.name === fieldName)) {
+                throw new InvalidOptionError(`Unknown field '${fieldName}' of the '${name}' layout`)
+            }
+        }
+        return new CustomSnowflakeId(Object.assign({}, PRESETS[name], { Schema: schema }, presetOptions))
+    }
+
     constructor(options) {       
+        super()
         if (options && (typeof options !== 'object' || Array.isArray(options))) {
-            throw new Error('Options must be an object')
+            throw new InvalidOptionError('Options must be an object')
         }
         if (options === null) {
-            throw new Error('Options must be an object')
+            throw new InvalidOptionError('Options must be an object')
         }
         if (!options) options = {}
-        const validKeys = [ 'MachineIdBits', 'SequenceBits', 'MachineId', 'FirstTimestamp' ]
+        const validKeys = [
+            'MachineIdBits', 'SequenceBits', 'MachineId', 'FirstTimestamp', 'TimestampBits', 'TimeUnitMs',
+            'ClockBackwardsPolicy', 'ClockBackwardsToleranceMs', 'OnClockBackwards', 'Encoding', 'MachineIdAllocator',
+            'SharedState', 'Schema', 'StateStore', 'StateSaveIntervalMs', 'StateSafetyMarginMs', 'StateRecoveryPolicy',
+            'EpochWarningMs', 'Clock', 'UseSignBit', 'SequenceBeforeFields',
+            'Obfuscator', 'LayoutVersion', 'LayoutVersionBits',
+        ]
         const optionKeys = Object.keys(options)
         for (const key of optionKeys) {
             if (!(validKeys.includes(key))) {
-                throw new Error(`Invalid option parameter '${key}'`)
+                throw new InvalidOptionError(`Invalid option parameter '${key}'`)
             }
         }
-        const { MachineIdBits, SequenceBits, MachineId, FirstTimestamp } = options
+        const {
+            MachineIdBits, SequenceBits, MachineId, FirstTimestamp, TimestampBits, TimeUnitMs,
+            ClockBackwardsPolicy, ClockBackwardsToleranceMs, OnClockBackwards, Encoding, MachineIdAllocator: machineIdAllocator,
+            SharedState, Schema, StateStore: stateStore, StateSaveIntervalMs, StateSafetyMarginMs, StateRecoveryPolicy,
+            EpochWarningMs, Clock: clock, UseSignBit, SequenceBeforeFields,
+            Obfuscator, LayoutVersion, LayoutVersionBits,
+        } = options
 
-        if (optionKeys.includes('MachineIdBits') && (MachineIdBits === null || MachineIdBits === undefined || typeof MachineIdBits !== 'number')) {
-            throw new Error('MachineIdBits must be a number')
+        if (optionKeys.includes('MachineIdBits') && !Number.isInteger(MachineIdBits)) {
+            throw new InvalidOptionError('MachineIdBits must be an integer')
         }
-        if (optionKeys.includes('SequenceBits') && (SequenceBits === null || SequenceBits === undefined || typeof SequenceBits !== 'number')) {
-            throw new Error('SequenceBits must be a number')
+        if (optionKeys.includes('SequenceBits') && !Number.isInteger(SequenceBits)) {
+            throw new InvalidOptionError('SequenceBits must be an integer')
         }
-        if (optionKeys.includes('MachineId') && (MachineId === null || MachineId === undefined || typeof MachineId !== 'number')) {
-            throw new Error('MachineId must be a number')
+        if (optionKeys.includes('MachineId') && !Number.isInteger(MachineId)) {
+            throw new InvalidOptionError('MachineId must be an integer')
         }
         if (optionKeys.includes('FirstTimestamp') && (FirstTimestamp === null || FirstTimestamp === undefined || (typeof FirstTimestamp !== 'number' && !(FirstTimestamp instanceof Date)))) {
-            throw new Error('FirstTimestamp must be a number or date instance')
+            throw new InvalidOptionError('FirstTimestamp must be a number or date instance')
+        }
+        if (optionKeys.includes('FirstTimestamp') && !Number.isInteger(new Date(FirstTimestamp).getTime())) {
+            throw new InvalidOptionError('FirstTimestamp must be a valid date')
+        }
+        if (optionKeys.includes('Clock') && !(clock instanceof Clock)) {
+            throw new InvalidOptionError('Clock must be an instance of Clock')
         }
-        if (optionKeys.includes('FirstTimestamp') && new Date(FirstTimestamp).getTime() < 0 || new Date(FirstTimestamp).getTime() > Date.now()) {
-            throw new Error('FirstTimestamp must be between 0 and current timestamp')
+        const clockSource = clock || new SystemClock()
+        if (optionKeys.includes('FirstTimestamp') && (new Date(FirstTimestamp).getTime() < 0 || new Date(FirstTimestamp).getTime() > clockSource.now())) {
+            throw new InvalidOptionError('FirstTimestamp must be between 0 and current timestamp')
         }
+        if (optionKeys.includes('TimestampBits') && (typeof TimestampBits !== 'number' || !Number.isInteger(TimestampBits) || TimestampBits <= 0)) {
+            throw new InvalidOptionError('TimestampBits must be a positive integer')
+        }
+        if (optionKeys.includes('TimeUnitMs') && (typeof TimeUnitMs !== 'number' || !Number.isInteger(TimeUnitMs) || TimeUnitMs <= 0)) {
+            throw new InvalidOptionError('TimeUnitMs must be a positive integer')
+        }
+        if (optionKeys.includes('ClockBackwardsPolicy') && !CLOCK_BACKWARDS_POLICIES.includes(ClockBackwardsPolicy)) {
+            throw new InvalidOptionError(`ClockBackwardsPolicy must be one of ${CLOCK_BACKWARDS_POLICIES.map((policy) => `'${policy}'`).join(', ')}`)
+        }
+        if (optionKeys.includes('ClockBackwardsToleranceMs') && (typeof ClockBackwardsToleranceMs !== 'number' || Number.isNaN(ClockBackwardsToleranceMs) || ClockBackwardsToleranceMs < 0)) {
+            throw new InvalidOptionError('ClockBackwardsToleranceMs must be a non-negative number')
+        }
+        if (optionKeys.includes('OnClockBackwards') && typeof OnClockBackwards !== 'function') {
+            throw new InvalidOptionError('OnClockBackwards must be a function')
+        }
+        if (optionKeys.includes('Encoding') && !ENCODINGS.includes(Encoding)) {
+            throw new InvalidOptionError(`Encoding must be one of ${ENCODINGS.map((encoding) => `'${encoding}'`).join(', ')}`)
+        }
+        if (optionKeys.includes('MachineIdAllocator') && !(machineIdAllocator instanceof MachineIdAllocator)) {
+            throw new InvalidOptionError('MachineIdAllocator must be an instance of MachineIdAllocator')
+        }
+        if (optionKeys.includes('MachineIdAllocator') && MachineId !== null && MachineId !== undefined) {
+            throw new InvalidOptionError('MachineId and MachineIdAllocator can not be used together')
+        }
+        if (optionKeys.includes('SharedState') && (!(SharedState instanceof SharedArrayBuffer) || SharedState.byteLength < 8)) {
+            throw new InvalidOptionError('SharedState must be a SharedArrayBuffer created by CustomSnowflakeId.createSharedState()')
+        }
+        if (optionKeys.includes('StateStore') && !(stateStore instanceof StateStore)) {
+            throw new InvalidOptionError('StateStore must be an instance of StateStore')
+        }
+        if (optionKeys.includes('StateSaveIntervalMs') && (!Number.isInteger(StateSaveIntervalMs) || StateSaveIntervalMs <= 0)) {
+            throw new InvalidOptionError('StateSaveIntervalMs must be a positive integer')
+        }
+        if (optionKeys.includes('StateSafetyMarginMs') && (!Number.isInteger(StateSafetyMarginMs) || StateSafetyMarginMs < 0)) {
+            throw new InvalidOptionError('StateSafetyMarginMs must be a non-negative integer')
+        }
+        if (optionKeys.includes('StateRecoveryPolicy') && !STATE_RECOVERY_POLICIES.includes(StateRecoveryPolicy)) {
+            throw new InvalidOptionError(`StateRecoveryPolicy must be one of ${STATE_RECOVERY_POLICIES.map((policy) => `'${policy}'`).join(', ')}`)
+        }
+        if (optionKeys.includes('EpochWarningMs') && (!Number.isInteger(EpochWarningMs) || EpochWarningMs < 0)) {
+            throw new InvalidOptionError('EpochWarningMs must be a non-negative integer')
+        }
+        if (optionKeys.includes('Obfuscator') && !(Obfuscator instanceof IdObfuscator)) {
+            throw new InvalidOptionError('Obfuscator must be an instance of IdObfuscator')
+        }
+        if (optionKeys.includes('UseSignBit') && typeof UseSignBit !== 'boolean') {
+            throw new InvalidOptionError('UseSignBit must be a boolean')
+        }
+        if (optionKeys.includes('SequenceBeforeFields') && typeof SequenceBeforeFields !== 'boolean') {
+            throw new InvalidOptionError('SequenceBeforeFields must be a boolean')
+        }
+        if (optionKeys.includes('LayoutVersionBits') && (!Number.isInteger(LayoutVersionBits) || LayoutVersionBits <= 0 || LayoutVersionBits > 8)) {
+            throw new InvalidOptionError('LayoutVersionBits must be an integer between 1 and 8')
+        }
+        if (optionKeys.includes('LayoutVersionBits') && !optionKeys.includes('LayoutVersion')) {
+            throw new InvalidOptionError('LayoutVersionBits requires LayoutVersion')
+        }
+        if (optionKeys.includes('LayoutVersion') && UseSignBit) {
+            throw new InvalidOptionError('LayoutVersion can not be used with UseSignBit because the layout version is stored below the sign bit')
+        }
+        const layoutVersionBits = optionKeys.includes('LayoutVersion') ? (LayoutVersionBits || 2) : 0
+        if (optionKeys.includes('LayoutVersion') && (!Number.isInteger(LayoutVersion) || LayoutVersion < 0 || LayoutVersion > (2 ** layoutVersionBits) - 1)) {
+            throw new InvalidOptionError(`LayoutVersion must be an integer between 0 and ${(2 ** layoutVersionBits) - 1}`)
+        }
+        if (optionKeys.includes('Schema') && (optionKeys.includes('MachineIdBits') || optionKeys.includes('MachineId'))) {
+            throw new InvalidOptionError('Schema can not be used together with MachineIdBits or MachineId')
+        }
+        const schema = optionKeys.includes('Schema') ? validateSchema(Schema) : null
+        if (schema && machineIdAllocator && !schema.some((field) => field.name === 'machineId' && field.value === null)) {
+            throw new InvalidOptionError(`MachineIdAllocator requires a 'machineId' field without value in Schema`)
+        }
+
+        const timestampBits = TimestampBits || 41
+        const timeUnitMs = TimeUnitMs || 1
+        const totalBits = (UseSignBit ? 64 : 63) - layoutVersionBits
+        const nodeBits = totalBits - timestampBits
         
         let machineIdBits = 10
         let sequenceBits = 12
-        if ((MachineIdBits !== null && MachineIdBits !== undefined) && (SequenceBits !== null && SequenceBits !== undefined)) {
+        if (schema) {
+            machineIdBits = schema.reduce((sum, field) => sum + field.bits, 0)
+            sequenceBits = (SequenceBits !== null && SequenceBits !== undefined) ? SequenceBits : nodeBits - machineIdBits
+        } else if ((MachineIdBits !== null && MachineIdBits !== undefined) && (SequenceBits !== null && SequenceBits !== undefined)) {
             machineIdBits = MachineIdBits
             sequenceBits = SequenceBits
         } else if (MachineIdBits !== null && MachineIdBits !== undefined) {
             machineIdBits = MachineIdBits
-            sequenceBits = 22 - machineIdBits
+            sequenceBits = nodeBits - machineIdBits
         } else if (SequenceBits !== null && SequenceBits !== undefined) {
             sequenceBits = SequenceBits
-            machineIdBits = 22 - sequenceBits
+            machineIdBits = nodeBits - sequenceBits
         }
 
-        if (machineIdBits + sequenceBits != 22) {
-            throw new Error('Sum of MachineIdBits and SequenceBits must be equal to 22 because SnowflakeId is 64-bit and Timestamp is 41-bit')
+        if (timestampBits + machineIdBits + sequenceBits > totalBits) {
+            const versionReason = layoutVersionBits ? ` and ${layoutVersionBits} LayoutVersionBits` : ''
+            const reason = UseSignBit ? 'SnowflakeId is 64-bit' : `SnowflakeId is 64-bit with an unused sign bit${versionReason}`
+            throw new InvalidOptionError(`Sum of TimestampBits, MachineIdBits and SequenceBits must not exceed ${totalBits} because ${reason} (MachineIdBits + SequenceBits must not exceed ${nodeBits} for a ${timestampBits}-bit Timestamp)`)
         }
-        if (machineIdBits <= 0 || sequenceBits <= 0) {
-            throw new Error('MachineIdBits and SequenceBits must be greater than 0')
+        if ((schema ? machineIdBits < 0 : machineIdBits <= 0) || sequenceBits <= 0) {
+            throw new InvalidOptionError('MachineIdBits and SequenceBits must be greater than 0')
         }
 
-        let machineId = null
+        // Machine id is set once the lease is acquired when an allocator is used
+        let machineId = (machineIdAllocator || schema) ? 0 : null
         if (MachineId !== null && MachineId !== undefined) {
-            if (machineId < 0 || machineId > (1 << machineIdBits) - 1)
-                throw new Error(`MachineId must be between 0 and ${(2 ** machineIdBits) - 1}`)
+            if (MachineId < 0 || MachineId > (2 ** machineIdBits) - 1)
+                throw new InvalidOptionError(`MachineId must be between 0 and ${(2 ** machineIdBits) - 1}`)
             machineId = MachineId
         }
 
-        const firstTimestamp = FirstTimestamp ? new Date(FirstTimestamp) : new Date('2024-01-01T00:00:00.000Z')
+        const firstTimestamp = FirstTimestamp !== undefined ? new Date(FirstTimestamp) : new Date('2024-01-01T00:00:00.000Z')
         
-        this.snowflake = new SnowflakeIdGenerator(machineIdBits, sequenceBits, machineId, firstTimestamp)
+        const Generator = SharedState ? SharedSnowflakeIdGenerator : SnowflakeIdGenerator
+        this.snowflake = new Generator(machineIdBits, sequenceBits, machineId, firstTimestamp, {
+            timestampBits,
+            timeUnitMs,
+            clockBackwardsPolicy: ClockBackwardsPolicy,
+            clockBackwardsToleranceMs: ClockBackwardsToleranceMs,
+            onClockBackwards: OnClockBackwards,
+            encoding: Encoding,
+            sharedState: SharedState,
+            fields: schema,
+            stateStore,
+            stateSaveIntervalMs: StateSaveIntervalMs,
+            stateSafetyMarginMs: StateSafetyMarginMs,
+            epochWarningMs: EpochWarningMs,
+            clock: clockSource,
+            sequenceBeforeFields: SequenceBeforeFields,
+            layoutVersionBits,
+            layoutVersion: LayoutVersion,
+        })
+        for (const event of GENERATOR_EVENTS) {
+            this.snowflake.on(event, (payload) => this.emit(event, payload))
+        }
+
+        const { lifetimeMs, expiresAt } = this.snowflake.getLayout()
+        if (expiresAt && expiresAt.getTime() <= clockSource.now()) {
+            throw new InvalidOptionError(`Layout with ${timestampBits}-bit Timestamp in ${timeUnitMs} ms units has a lifetime of ${formatLifetime(lifetimeMs)} and expired at ${expiresAt.toISOString()}`)
+        }
+
+        this.obfuscator = Obfuscator || null
+
+        // Recover state and lease a machine id in the background, ready() reports the outcome
+        this.stateRecoveryPolicy = StateRecoveryPolicy || 'wait'
+        this.machineIdAllocator = machineIdAllocator || null
+        this.lease = null
+        this.leaseExpiresAt = null
+        this.leaseLost = false
+        this.renewTimer = null
+        this.readyPromise = (stateStore || this.machineIdAllocator) ? this.initialize() : Promise.resolve(this)
+        this.readyPromise.catch(() => {})
+    }
+
+    async initialize() {
+        await this.recoverState()
+        if (this.machineIdAllocator) {
+            await this.acquireLease()
+        }
+        return this
+    }
+
+    async recoverState() {
+        // Wait until the clock passes the recovered high-water timestamp, or refuse right away
+        let resumeAt = this.snowflake.getResumeAt()
+        if (resumeAt && this.stateRecoveryPolicy === 'refuse') {
+            throw new ClockBehindStateError(resumeAt)
+        }
+        while (resumeAt) {
+            await this.snowflake.clock.sleep(resumeAt.getTime() - this.snowflake.clock.now() + 1)
+            resumeAt = this.snowflake.getResumeAt()
+        }
+    }
+
+    async acquireLease() {
+        const field = this.snowflake.fields.find((item) => item.name === 'machineId')
+        const requestedAt = this.snowflake.clock.now()
+        const lease = await this.machineIdAllocator.acquire(Number(field.max))
+        this.snowflake.setFieldValue('machineId', lease.machineId)
+        this.holdLease(lease, requestedAt)
+
+        // Renew the lease three times per TTL
+        const renewIntervalMs = Math.max(Math.floor(this.machineIdAllocator.ttlMs / 3), 1)
+        this.renewTimer = setInterval(() => this.renewLease(), renewIntervalMs)
+        this.renewTimer.unref()
+    }
+
+    async renewLease() {
+        if (!this.lease || this.leaseLost) return
+        try {
+            const requestedAt = this.snowflake.clock.now()
+            const lease = await this.machineIdAllocator.renew(this.lease)
+            if (lease) {
+                this.holdLease(lease, requestedAt)
+            } else {
+                this.loseLease()
+            }
+        } catch (error) {
+            // Keep the lease until it expires, the next renewal may succeed
+            this.emit('leaseRenewalFailed', { machineId: this.lease.machineId, expiresAt: new Date(this.leaseExpiresAt), error })
+        }
+    }
+
+    holdLease(lease, requestedAt) {
+        // Allocators stamp expiresAt with the system time, so the lease is timed on the generator clock instead,
+        // from before the request as the allocator started the TTL after it
+        this.lease = lease
+        this.leaseExpiresAt = requestedAt + this.machineIdAllocator.ttlMs
+    }
+
+    loseLease() {
+        this.leaseLost = true
+        clearInterval(this.renewTimer)
+        this.renewTimer = null
+    }
+
+    assertLease() {
+        // Refuse to generate ids without a valid machine id lease
+        if (!this.machineIdAllocator) return
+        if (!this.lease) {
+            throw new NotInitializedError('Machine id lease is not acquired yet. Await ready() before generating ids.')
+        }
+        if (this.leaseLost) {
+            throw new LeaseLostError(this.lease.machineId)
+        }
+        if (this.leaseExpiresAt <= this.snowflake.clock.now()) {
+            this.loseLease()
+            throw new LeaseLostError(this.lease.machineId)
+        }
     }
 
     /**
      * Generate a new SnowflakeId which is unique across all instances
-     * @returns {string} SnowflakeId
-     * @throws {Error} If SnowflakeId generator is not initialized properly
+     * @param {object} options - optional, { encoding } to override the encoding of this call, { fields } values of dynamic Schema fields
+     * @returns {string|bigint|Buffer} SnowflakeId in the requested encoding
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly
+     * @throws {ClockBackwardsError} If the clock moved backwards and the ClockBackwardsPolicy does not allow generating ids
+     * @throws {LeaseLostError} If the machine id lease of the MachineIdAllocator is lost
+     * @throws {ClockBehindStateError} If the clock is behind the high-water timestamp recovered from the StateStore
      * @example
      * const { CustomSnowflakeId } = require('snowflakeid-producer')
      * const snowflakeId = new CustomSnowflakeId({
@@ -126,18 +491,96 @@ class CustomSnowflakeId {
      * console.log(id) // 1234567890123456789
      * console.log(typeof id) // string
     */
-    newId() {
+    newId(options) {
         if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
-            throw new Error('SnowflakeId generator is not initialized. Please try again later.')
+            throw new NotInitializedError()
         }
-        return this.snowflake.nextId()
+        this.assertLease()
+        return this.snowflake.nextId(options)
+    }
+
+    /**
+     * Generate a new SnowflakeId without blocking the event loop
+     * When the sequence of the current millisecond is exhausted, it waits for the next one with timers instead of spinning
+     * Concurrent calls are queued and resolved in order, so ids stay monotonic
+     * @param {object} options - optional, { encoding } to override the encoding of this call, { fields } values of dynamic Schema fields
+     * @returns {Promise<string|bigint|Buffer>} SnowflakeId in the requested encoding
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly (as a rejected promise)
+     * @throws {LeaseLostError} If the machine id lease of the MachineIdAllocator is lost (as a rejected promise)
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * const id = await snowflakeId.newIdAsync()
+     * console.log(id) // 1234567890123456789
+     * console.log(typeof id) // string
+    */
+    async newIdAsync(options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        await this.readyPromise
+        this.assertLease()
+        return this.snowflake.nextIdAsync(options)
+    }
+
+    /**
+     * Generate count unique and strictly increasing SnowflakeIds at once
+     * Whole sequence blocks are reserved per millisecond, so no other call on the generator can issue the same ids
+     * @param {number} count - positive integer
+     * @param {object} options - optional, { encoding } to override the encoding of this call, { fields } values of dynamic Schema fields
+     * @returns {Array<string|bigint|Buffer>} SnowflakeIds in the requested encoding
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly
+     * @throws {InvalidArgumentError} If count is not a positive integer
+     * @throws {LeaseLostError} If the machine id lease of the MachineIdAllocator is lost
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * const ids = snowflakeId.newIds(3)
+     * console.log(ids) // [ '1234567890123456789', '1234567890123456790', '1234567890123456791' ]
+    */
+    newIds(count, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        this.assertLease()
+        return this.snowflake.nextIds(count, options)
+    }
+
+    /**
+     * Reserve count SnowflakeIds at once and produce them lazily
+     * The reserved ids are never issued by any other call on the generator
+     * @param {number} count - positive integer
+     * @param {object} options - optional, { encoding } to override the encoding of this call, { fields } values of dynamic Schema fields
+     * @returns {object} range containing first, last, count and an iterator over the reserved ids
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly
+     * @throws {InvalidArgumentError} If count is not a positive integer
+     * @throws {LeaseLostError} If the machine id lease of the MachineIdAllocator is lost
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * const range = snowflakeId.reserveRange(10000)
+     * console.log(range.first) // 1234567890123456789
+     * console.log(range.last) // 1234567890123466788
+     * for (const id of range) {
+     *     console.log(id) // 1234567890123456789, 1234567890123456790, ...
+     * }
+    */
+    reserveRange(count, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        this.assertLease()
+        return this.snowflake.reserveRange(count, options)
     }
 
     /**
      * Get the first snowflake id at a timestamp
      * @param {timestamp} Number or Date
-     * @returns {string} SnowflakeId
-     * @throws {Error} If SnowflakeId generator is not initialized properly or timestamp is invalid
+     * @param {object} options - optional, { encoding } to override the encoding of this call, { fields } Schema field values the id must match
+     * @returns {string|bigint|Buffer} SnowflakeId in the requested encoding
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly
+     * @throws {InvalidArgumentError} If timestamp is not a number or Date
+     * @throws {TimestampBeforeEpochError} If timestamp is before the first timestamp
      * @example
      * const { CustomSnowflakeId } = require('snowflakeid-producer')
      * const snowflakeId = new CustomSnowflakeId({
@@ -150,18 +593,21 @@ class CustomSnowflakeId {
      * console.log(id) // 1234567890123456789
      * console.log(typeof id) // string
     */
-    getFirstIdAt(timestamp) {
+    getFirstIdAt(timestamp, options) {
         if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
-            throw new Error('SnowflakeId generator is not initialized. Please try again later.')
+            throw new NotInitializedError()
         }
-        return this.snowflake.getFirstIdAtTimestamp(timestamp)
+        return this.snowflake.getFirstIdAtTimestamp(timestamp, options)
     }
 
     /**
      * Get the last snowflake id at a timestamp
      * @param {timestamp} Number or Date
-     * @returns {string} SnowflakeId
-     * @throws {Error} If SnowflakeId generator is not initialized properly or timestamp is invalid
+     * @param {object} options - optional, { encoding } to override the encoding of this call, { fields } Schema field values the id must match
+     * @returns {string|bigint|Buffer} SnowflakeId in the requested encoding
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly
+     * @throws {InvalidArgumentError} If timestamp is not a number or Date
+     * @throws {TimestampBeforeEpochError} If timestamp is before the first timestamp
      * @example
      * const { CustomSnowflakeId } = require('snowflakeid-producer')
      * const snowflakeId = new CustomSnowflakeId({
@@ -174,18 +620,23 @@ class CustomSnowflakeId {
      * console.log(id) // 1234567890123456789
      * console.log(typeof id) // string
     */
-    getLastIdAt(timestamp) {
+    getLastIdAt(timestamp, options) {
         if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
-            throw new Error('SnowflakeId generator is not initialized. Please try again later.')
+            throw new NotInitializedError()
         }
-        return this.snowflake.getLastIdAtTimestamp(timestamp)
+        return this.snowflake.getLastIdAtTimestamp(timestamp, options)
     }
 
     /**
-     * Parse a snowflake id and return a object with timestamp, machineId, sequence
-     * @param {string} snowflakeId - must be a numeric string
+     * Parse a snowflake id and return a object with timestamp, machineId (or every named Schema field), sequence
+     * @param {string|bigint|Buffer} snowflakeId - must be a string in the generator encoding (numeric by default), a bigint or an 8-byte Buffer
+     * @param {object} options - optional, { encoding } to override the encoding of a string id,
+     * { strict: true } to check the sign bit, the 64-bit range and that the timestamp is between the first timestamp and now plus maxSkewMs (default: 1000),
+     * { allowFuture, expectedMachineId, expectedFields } to relax the timestamp check and match the machine id or Schema fields in strict mode,
+     * { obfuscated: true } to parse a public id of encodeId
      * @returns {object} parsed object containing timestamp, machineId, sequence
-     * @throws {Error} If snowflakeId is invalid
+     * @throws {InvalidIdError} If snowflakeId is invalid, or fails the strict checks
+     * @throws {InvalidOptionError} If obfuscated is set without an Obfuscator
      * @example
      * const { CustomSnowflakeId } = require('snowflakeid-producer')
      * const snowflakeId = new CustomSnowflakeId({
@@ -204,22 +655,345 @@ class CustomSnowflakeId {
      * console.log(content.sequence) // 0
      * console.log(typeof content.sequence) // number
     */
-    parseId(snowflakeId) {
+    parseId(snowflakeId, options) {
         if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
-            throw new Error('SnowflakeId generator is not initialized. Please try again later.')
+            throw new NotInitializedError()
         }
 
-        try {
-            const parsedContent = this.snowflake.parseId(snowflakeId)
-            return {
-                timestamp: parsedContent.timestamp,
-                machineId: parsedContent.machineId,
-                sequence: parsedContent.sequence,
+        if (options && options.obfuscated) {
+            return this.snowflake.parseId(this.deobfuscate(snowflakeId), options)
+        }
+        return this.snowflake.parseId(snowflakeId, options)
+    }
+
+    /**
+     * Check if a snowflake id is valid, with the strict checks of parseId
+     * @param {string|bigint|Buffer} snowflakeId - id in any encoding
+     * @param {object} options - optional, { allowFuture, expectedMachineId, expectedFields, maxSkewMs, encoding, obfuscated }
+     * @returns {boolean} true if snowflakeId is valid
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly
+     * @throws {InvalidOptionError} If obfuscated is set without an Obfuscator
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * console.log(snowflakeId.isValid('1234567890123456789')) // true
+     * console.log(snowflakeId.isValid('-1')) // false
+     * console.log(snowflakeId.isValid('1234567890123456789', { expectedMachineId: 5 })) // false
+    */
+    isValid(snowflakeId, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        if (options && options.obfuscated) {
+            let idBits
+            try {
+                idBits = this.deobfuscate(snowflakeId)
+            } catch (error) {
+                if (error instanceof InvalidIdError) return false
+                throw error
             }
-        } catch (error) {
-            throw new Error('snowflakeId must be a valid numeric string')
+            return this.snowflake.isValid(idBits, options)
+        }
+        return this.snowflake.isValid(snowflakeId, options)
+    }
+
+    /**
+     * Compare two ids by value, which orders them by generation time, also for decimal strings of different lengths
+     * @param {string|bigint|Buffer} a - id in the generator encoding, a bigint or an 8-byte Buffer
+     * @param {string|bigint|Buffer} b - id in the generator encoding, a bigint or an 8-byte Buffer
+     * @param {object} options - optional, { encoding } of string ids
+     * @returns {number} -1 if a is lower than b, 1 if it is higher, 0 if they are equal
+     * @throws {InvalidIdError} If an id is invalid
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * console.log(snowflakeId.compare('999999999999999999', '1000000000000000000')) // -1
+    */
+    compare(a, b, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.compare(a, b, options)
+    }
+
+    /**
+     * Sort ids by value, which orders them by generation time
+     * @param {Array<string|bigint|Buffer>} ids - ids in the generator encoding, bigints or 8-byte Buffers
+     * @param {object} options - optional, { encoding } of string ids
+     * @returns {Array<string|bigint|Buffer>} sorted copy of ids
+     * @throws {InvalidArgumentError} If ids is not an array
+     * @throws {InvalidIdError} If an id is invalid
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * console.log(snowflakeId.sort([ '1000000000000000000', '999999999999999999' ])) // [ '999999999999999999', '1000000000000000000' ]
+    */
+    sort(ids, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.sort(ids, options)
+    }
+
+    /**
+     * Get the lowest and highest possible ids between two timestamps, e.g. for a query BETWEEN min AND max
+     * @param {number|Date} from - first timestamp of the range
+     * @param {number|Date} to - last timestamp of the range, inclusive
+     * @param {object} options - optional, { machineId } or { fields } to bound ids of one machine, { encoding } of the bounds
+     * @returns {object} { min, max } ids in the requested encoding
+     * @throws {InvalidArgumentError} If a timestamp is not a number or Date, from is after to, or a field value is not valid
+     * @throws {TimestampBeforeEpochError} If from is before the first timestamp
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * const { min, max } = snowflakeId.timeRange(new Date('2025-01-01T00:00:00.000Z'), new Date('2025-01-02T00:00:00.000Z'), { machineId: 5 })
+    */
+    timeRange(from, to, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.timeRange(from, to, options)
+    }
+
+    /**
+     * Get the UTC hour or day of an id as a partition key
+     * @param {string|bigint|Buffer} snowflakeId - id in the generator encoding, a bigint or an 8-byte Buffer
+     * @param {string} granularity - 'hour' or 'day'
+     * @param {object} options - optional, { encoding } of a string id
+     * @returns {string} partition key, e.g. '2025-01-01T13' for an hour or '2025-01-01' for a day
+     * @throws {InvalidArgumentError} If granularity is not 'hour' or 'day'
+     * @throws {InvalidIdError} If snowflakeId is invalid
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * console.log(snowflakeId.bucketOf(snowflakeId.newId(), 'day')) // 2025-01-01
+    */
+    bucketOf(snowflakeId, granularity, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.bucketOf(snowflakeId, granularity, options)
+    }
+
+    /**
+     * Get the age of an id
+     * @param {string|bigint|Buffer} snowflakeId - id in the generator encoding, a bigint or an 8-byte Buffer
+     * @param {object} options - optional, { encoding } of a string id
+     * @returns {number} milliseconds elapsed since the timestamp of the id, negative for ids from the future
+     * @throws {InvalidIdError} If snowflakeId is invalid
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * if (snowflakeId.ageOf(id) > 15 * 60 * 1000) console.log('Link expired')
+    */
+    ageOf(snowflakeId, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.ageOf(snowflakeId, options)
+    }
+
+    /**
+     * Check if an id is lower than another id, or has a timestamp before a timestamp
+     * @param {string|bigint|Buffer} snowflakeId - id in the generator encoding, a bigint or an 8-byte Buffer
+     * @param {string|bigint|Buffer|number|Date} other - id, or a number or Date timestamp
+     * @param {object} options - optional, { encoding } of string ids
+     * @returns {boolean} true if snowflakeId is before other
+     * @throws {InvalidIdError} If an id is invalid
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * console.log(snowflakeId.isBefore(id, new Date('2025-01-01T00:00:00.000Z'))) // false
+    */
+    isBefore(snowflakeId, other, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.compareWith(snowflakeId, other, options) < 0
+    }
+
+    /**
+     * Check if an id is higher than another id, or has a timestamp after a timestamp
+     * @param {string|bigint|Buffer} snowflakeId - id in the generator encoding, a bigint or an 8-byte Buffer
+     * @param {string|bigint|Buffer|number|Date} other - id, or a number or Date timestamp
+     * @param {object} options - optional, { encoding } of string ids
+     * @returns {boolean} true if snowflakeId is after other
+     * @throws {InvalidIdError} If an id is invalid
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * console.log(snowflakeId.isAfter(snowflakeId.newId(), firstId)) // true
+    */
+    isAfter(snowflakeId, other, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.compareWith(snowflakeId, other, options) > 0
+    }
+
+    deobfuscate(publicId) {
+        if (!this.obfuscator) {
+            throw new InvalidOptionError('Obfuscator option is required for obfuscated ids')
+        }
+        return this.obfuscator.decode(publicId)
+    }
+
+    /**
+     * Turn an id into a public id, which hides its timestamp, fields and sequence from anyone without the Obfuscator keys
+     * Public ids are 12 characters: the key version followed by 11 base62 characters of a keyed 64-bit permutation of the id
+     * @param {string|bigint|Buffer} snowflakeId - id in the generator encoding, a bigint or an 8-byte Buffer
+     * @param {object} options - optional, { encoding } of a string id
+     * @returns {string} public id
+     * @throws {InvalidOptionError} If the generator has no Obfuscator
+     * @throws {InvalidIdError} If snowflakeId is invalid
+     * @example
+     * const { CustomSnowflakeId, IdObfuscator } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({
+     *  MachineId: 5,
+     *  Obfuscator: new IdObfuscator({ keys: { 1: process.env.ID_KEY_V1, 2: process.env.ID_KEY_V2 } }),
+     * })
+     * const publicId = snowflakeId.encodeId(snowflakeId.newId())
+     * console.log(publicId) // 2LmrUm4vtZXh
+     * console.log(snowflakeId.parseId(publicId, { obfuscated: true })) // { timestamp: 2025-01-01T00:00:00.000Z, machineId: 5, sequence: 0 }
+    */
+    encodeId(snowflakeId, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        if (!this.obfuscator) {
+            throw new InvalidOptionError('Obfuscator option is required for encodeId')
+        }
+        return this.obfuscator.encode(this.snowflake.decode(snowflakeId, options))
+    }
+
+    /**
+     * Recover the id of a public id from encodeId, with the key of the version it was encoded with
+     * @param {string} publicId - public id from encodeId
+     * @param {object} options - optional, { encoding } of the returned id
+     * @returns {string|bigint|Buffer} id in the requested encoding
+     * @throws {InvalidOptionError} If the generator has no Obfuscator
+     * @throws {InvalidIdError} If publicId is invalid or its key version is unknown
+     * @example
+     * const id = snowflakeId.decodeId('2LmrUm4vtZXh')
+     * console.log(id) // 1234567890123456789
+    */
+    decodeId(publicId, options) {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
         }
+        return encodeId(this.deobfuscate(publicId), this.snowflake.resolveEncoding(options))
     }
+
+    /**
+     * Get the bit layout of the generator along with its lifetime and expiry date
+     * @returns {object} layout containing timestampBits, machineIdBits (bits of all Schema fields), fields, sequenceBits, sequenceBeforeFields, timeUnitMs, epoch, lifetimeMs, expiresAt
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ TimestampBits: 39, TimeUnitMs: 10, MachineIdBits: 16, SequenceBits: 8 })
+     * const layout = snowflakeId.getLayout()
+     * console.log(layout.lifetimeMs) // 5497558138880
+     * console.log(layout.expiresAt) // 2198-03-18T03:28:58.880Z
+    */
+    getLayout() {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.getLayout()
+    }
+
+    /**
+     * Get statistics of the ids issued by this generator
+     * With SharedState, the statistics cover the ids issued by this thread only
+     * @returns {object} stats containing idsIssued, peakIdsPerMs, sequenceExhaustedCount, clockBackwardsCount, waitCount, waitTimeMs,
+     *  machineId (null while the machineId field is dynamic), layout and remainingLifetimeMs
+     * @throws {NotInitializedError} If SnowflakeId generator is not initialized properly
+     * @example
+     * const { CustomSnowflakeId } = require('snowflakeid-producer')
+     * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+     * snowflakeId.on('sequenceExhausted', ({ timestamp }) => console.warn(`Sequence exhausted at ${timestamp.toISOString()}`))
+     * snowflakeId.newIds(10000)
+     * const stats = snowflakeId.getStats()
+     * console.log(stats.idsIssued) // 10000
+     * console.log(stats.peakIdsPerMs) // 4096
+    */
+    getStats() {
+        if (!this.snowflake || !(this.snowflake instanceof SnowflakeIdGenerator)) {
+            throw new NotInitializedError()
+        }
+        return this.snowflake.getStats()
+    }
+
+    /**
+     * Wait until the generator can issue ids
+     * With a StateStore, it waits until the clock passes the recovered high-water timestamp
+     * With a MachineIdAllocator, it resolves once a machine id is leased, otherwise right away
+     * @returns {Promise<CustomSnowflakeId>} the generator itself
+     * @throws {MachineIdUnavailableError} If no free machine id is available (as a rejected promise)
+     * @throws {ClockBehindStateError} If the clock is behind the recovered high-water timestamp and StateRecoveryPolicy is 'refuse' (as a rejected promise)
+     * @example
+     * const { CustomSnowflakeId, FileMachineIdAllocator } = require('snowflakeid-producer')
+     * const snowflakeId = await new CustomSnowflakeId({
+     *  MachineIdAllocator: new FileMachineIdAllocator({ directory: '/mnt/shared/snowflake', ttlMs: 30000 }),
+     * }).ready()
+     * const id = snowflakeId.newId()
+    */
+    ready() {
+        return this.readyPromise
+    }
+
+    /**
+     * Stop saving state periodically, stop renewing the machine id lease and release it
+     * The generator refuses to issue ids afterwards when a MachineIdAllocator is used
+     * @returns {Promise<void>}
+     * @example
+     * await snowflakeId.close()
+    */
+    async close() {
+        this.snowflake.close()
+        if (!this.machineIdAllocator) return
+        await this.readyPromise.catch(() => {})
+        const lease = this.lease
+        this.loseLease()
+        if (lease) {
+            await this.machineIdAllocator.release(lease)
+        }
+    }
+}
+
+// Check Schema fields and normalize them to { name, bits, value }
+function validateSchema(schema) {
+    if (!Array.isArray(schema)) {
+        throw new InvalidOptionError('Schema must be an array of fields')
+    }
+    const names = []
+    return schema.map((field) => {
+        if (!field || typeof field !== 'object' || Array.isArray(field)) {
+            throw new InvalidOptionError('Schema fields must be objects with name and bits')
+        }
+        const { name, bits, value } = field
+        if (typeof name !== 'string' || name.length === 0 || [ 'timestamp', 'sequence', 'layoutVersion' ].includes(name)) {
+            throw new InvalidOptionError(`Schema field name must be a non-empty string other than 'timestamp', 'sequence' and 'layoutVersion'`)
+        }
+        if (names.includes(name)) {
+            throw new InvalidOptionError(`Schema field name '${name}' is not unique`)
+        }
+        names.push(name)
+        if (typeof bits !== 'number' || !Number.isInteger(bits) || bits <= 0) {
+            throw new InvalidOptionError(`Bits of Schema field '${name}' must be a positive integer`)
+        }
+        if (value !== null && value !== undefined && (!Number.isInteger(value) || value < 0 || value > (2 ** bits) - 1)) {
+            throw new InvalidOptionError(`Value of Schema field '${name}' must be an integer between 0 and ${(2 ** bits) - 1}`)
+        }
+        return { name, bits, value: (value === null || value === undefined) ? null : value }
+    })
+}
+
+// Human readable lifetime of a layout, used in validation messages
+function formatLifetime(lifetimeMs) {
+    const years = lifetimeMs / (365.25 * 24 * 60 * 60 * 1000)
+    if (years >= 1) return `${years.toFixed(1)} years`
+    return `${(lifetimeMs / (24 * 60 * 60 * 1000)).toFixed(1)} days`
 }
 
 module.exports = CustomSnowflakeId
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Timestamps of the options and arguments of generators, and of the CLI, server and config inputs
+
+const { InvalidArgumentError } = require('./errors')
+
+/**
+ * Parse a date of a string input
+ * Dates are ISO strings or milliseconds timestamps
+ * @param {string} value - ISO date or milliseconds timestamp
+ * @returns {Date|null} the date, or null if value is not a valid date
+ */
+function parseDate(value) {
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Get the milliseconds of a timestamp argument
+ * @param {number|Date} timestamp - integer number of milliseconds or a valid Date
+ * @returns {number} milliseconds since the Unix epoch
+ * @throws {InvalidArgumentError} If timestamp is not an integer number or a valid Date
+ */
+function toMilliseconds(timestamp) {
+  if (typeof timestamp === 'number' && Number.isSafeInteger(timestamp)) {
+    return timestamp
+  }
+  if (timestamp instanceof Date && !Number.isNaN(timestamp.getTime())) {
+    return timestamp.getTime()
+  }
+  throw new InvalidArgumentError('Timestamp must be an integer number of milliseconds or a valid date instance')
+}
+
+module.exports = {
+  parseDate,
+  toMilliseconds,
+}
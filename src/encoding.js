@@ -0,0 +1,125 @@
+// Encodings of 64-bit SnowflakeIds
+// Text encodings other than decimal are fixed-width and zero-padded, so sorting them as strings
+// matches sorting by generation time
+
+const { InvalidOptionError, InvalidIdError } = require('./errors')
+
+const ENCODINGS = [ 'decimal', 'bigint', 'buffer', 'hex', 'base62', 'base32' ]
+
+// Alphabets are in ASCII order to keep encoded ids sortable
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+const BASE32_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+
+// Number of characters needed for 64 bits
+const WIDTHS = { hex: 16, base62: 11, base32: 13 }
+
+// Largest value of a 64-bit id
+const MAX_ID = BigInt(2) ** BigInt(64) - BigInt(1)
+
+function assertEncoding(encoding) {
+  if (!ENCODINGS.includes(encoding)) {
+    throw new InvalidOptionError(`Encoding must be one of ${ENCODINGS.map((name) => `'${name}'`).join(', ')}`)
+  }
+}
+
+function toAlphabet(value, alphabet, width) {
+  // Convert value to a fixed-width string of alphabet digits
+  const base = BigInt(alphabet.length)
+  let text = ''
+  while (value > BigInt(0)) {
+    text = alphabet[Number(value % base)] + text
+    value /= base
+  }
+  return text.padStart(width, alphabet[0])
+}
+
+function fromAlphabet(text, alphabet, width) {
+  // Convert a string of alphabet digits back to a value
+  if (text.length === 0 || text.length > width) {
+    throw new InvalidIdError(`Encoded id must have at most ${width} characters`)
+  }
+  const base = BigInt(alphabet.length)
+  let value = BigInt(0)
+  for (const char of text) {
+    const digit = alphabet.indexOf(char)
+    if (digit < 0) {
+      throw new InvalidIdError(`Invalid character '${char}' in encoded id`)
+    }
+    value = value * base + BigInt(digit)
+  }
+  return assertFits(value)
+}
+
+function assertFits(value) {
+  // Widths of base62 and base32 hold more than 64 bits, and decimal ids have no width
+  if (value > MAX_ID) {
+    throw new InvalidIdError('Encoded id must fit in 64 bits')
+  }
+  return value
+}
+
+function encodeId(id, encoding) {
+  // Encode a 64-bit id in the given encoding
+  switch (encoding) {
+    case 'bigint':
+      return id
+    case 'buffer': {
+      const buffer = Buffer.alloc(8)
+      buffer.writeBigUInt64BE(id)
+      return buffer
+    }
+    case 'hex':
+      return id.toString(16).padStart(WIDTHS.hex, '0')
+    case 'base62':
+      return toAlphabet(id, BASE62_ALPHABET, WIDTHS.base62)
+    case 'base32':
+      return toAlphabet(id, BASE32_ALPHABET, WIDTHS.base32)
+    default:
+      return id.toString()
+  }
+}
+
+function decodeId(id, encoding) {
+  // Decode an id of any encoding back to a 64-bit value
+  // bigint and Buffer ids are recognized by type, strings are read with the given encoding
+  if (typeof id === 'bigint') {
+    return id
+  }
+  if (Buffer.isBuffer(id)) {
+    if (id.length !== 8) {
+      throw new InvalidIdError('Buffer id must be 8 bytes long')
+    }
+    return id.readBigUInt64BE()
+  }
+  if (typeof id !== 'string') {
+    return BigInt(id)
+  }
+
+  switch (encoding) {
+    case 'hex':
+      if (!/^[0-9a-fA-F]{1,16}$/.test(id)) {
+        throw new InvalidIdError('Hex id must have 1 to 16 hexadecimal characters')
+      }
+      return BigInt(`0x${id}`)
+    case 'base62':
+      return fromAlphabet(id, BASE62_ALPHABET, WIDTHS.base62)
+    case 'base32':
+      // Crockford base32 is case insensitive and reads I and L as 1, O as 0
+      return fromAlphabet(id.toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0'), BASE32_ALPHABET, WIDTHS.base32)
+    default:
+      return assertFits(BigInt(id))
+  }
+}
+
+function toText(id) {
+  // Printable form of an id of any encoding, Buffers are printed as hex
+  return Buffer.isBuffer(id) ? id.toString('hex') : String(id)
+}
+
+module.exports = {
+  ENCODINGS,
+  assertEncoding,
+  encodeId,
+  decodeId,
+  toText,
+}
@@ -0,0 +1,104 @@
+// Errors thrown by SnowflakeId generators
+// Every error has a stable code property, so callers can branch on it
+
+class SnowflakeIdError extends Error {
+  constructor(message, code, options) {
+    super(message, options)
+    this.name = new.target.name
+    this.code = code
+  }
+}
+
+class InvalidOptionError extends SnowflakeIdError {
+  constructor(message, options) {
+    super(message, 'ERR_INVALID_OPTION', options)
+  }
+}
+
+class InvalidArgumentError extends SnowflakeIdError {
+  constructor(message, options) {
+    super(message, 'ERR_INVALID_ARGUMENT', options)
+  }
+}
+
+class InvalidIdError extends SnowflakeIdError {
+  constructor(message, options) {
+    super(message, 'ERR_INVALID_ID', options)
+  }
+}
+
+class NotInitializedError extends SnowflakeIdError {
+  constructor(message, options) {
+    super(message || 'SnowflakeId generator is not initialized. Please try again later.', 'ERR_NOT_INITIALIZED', options)
+  }
+}
+
+class AlreadyInitializedError extends SnowflakeIdError {
+  constructor(message, options) {
+    super(message || 'SnowflakeId generator is already initialized', 'ERR_ALREADY_INITIALIZED', options)
+  }
+}
+
+class TimestampBeforeEpochError extends SnowflakeIdError {
+  constructor(epoch, options) {
+    super(`Timestamp must be greater than or equal to ${epoch.toISOString()}`, 'ERR_TIMESTAMP_BEFORE_EPOCH', options)
+    this.epoch = epoch
+  }
+}
+
+class LayoutExpiredError extends SnowflakeIdError {
+  constructor(expiresAt, options) {
+    super(`Timestamp exceeds the layout lifetime which ends at ${expiresAt ? expiresAt.toISOString() : 'the maximum date'}`, 'ERR_LAYOUT_EXPIRED', options)
+    this.expiresAt = expiresAt
+  }
+}
+
+class ClockBackwardsError extends SnowflakeIdError {
+  constructor(driftMs, lastTimestamp, options) {
+    super(`Clock moved backwards by ${driftMs} ms. Refusing to generate ids until ${lastTimestamp.toISOString()}`, 'ERR_CLOCK_BACKWARDS', options)
+    this.driftMs = driftMs
+    this.lastTimestamp = lastTimestamp
+  }
+}
+
+class MachineIdUnavailableError extends SnowflakeIdError {
+  constructor(message, options) {
+    super(message || 'No free machine id is available', 'ERR_MACHINE_ID_UNAVAILABLE', options)
+  }
+}
+
+class LeaseLostError extends SnowflakeIdError {
+  constructor(machineId, options) {
+    super(`Lease of machine id ${machineId} is lost. Refusing to generate ids`, 'ERR_LEASE_LOST', options)
+    this.machineId = machineId
+  }
+}
+
+class InvalidStateError extends SnowflakeIdError {
+  constructor(message, options) {
+    super(message || 'Persisted generator state is not valid', 'ERR_INVALID_STATE', options)
+  }
+}
+
+class ClockBehindStateError extends SnowflakeIdError {
+  constructor(resumeAt, options) {
+    super(`Clock is behind the persisted generator state. Refusing to generate ids until ${resumeAt.toISOString()}`, 'ERR_CLOCK_BEHIND_STATE', options)
+    this.resumeAt = resumeAt
+  }
+}
+
+module.exports = {
+  SnowflakeIdError,
+  InvalidOptionError,
+  InvalidArgumentError,
+  InvalidIdError,
+  NotInitializedError,
+  AlreadyInitializedError,
+  TimestampBeforeEpochError,
+  LayoutExpiredError,
+  ClockBackwardsError,
+  MachineIdUnavailableError,
+  LeaseLostError,
+  InvalidStateError,
+  ClockBehindStateError,
+}
@@ -0,0 +1,151 @@
+// Registry of the layouts of a layout migration, which tells the layout of an id by its layout version
+// Layout versions are the top bits below the sign bit, so ids of a newer version sort after all ids of older ones
+// Unversioned layouts are version 0: their top bits stay zero until their timestamps grow into the version bits,
+// e.g. in 2041 for the default 41-bit layout of 2024 and 2 version bits
+
+const CustomSnowflakeId = require('./customSnowflake')
+const { toMilliseconds } = require('./dates')
+const { assertEncoding, decodeId } = require('./encoding')
+const { InvalidOptionError, InvalidArgumentError, InvalidIdError } = require('./errors')
+
+class LayoutRegistry {
+  /**
+   * Parse ids of every registered layout, and translate time ranges into id ranges of each layout
+   * @param {object} options - optional, { layouts } CustomSnowflakeIds to register, { encoding } of string ids (default: 'decimal')
+   * @throws {InvalidOptionError} If a layout or the encoding is not valid
+   * @example
+   * const { CustomSnowflakeId, LayoutRegistry } = require('snowflakeid-producer')
+   * const legacy = new CustomSnowflakeId({ MachineId: 5 })
+   * const current = new CustomSnowflakeId({ LayoutVersion: 1, TimestampBits: 39, TimeUnitMs: 10, MachineId: 5, FirstTimestamp: new Date('2026-01-01T00:00:00.000Z') })
+   * const registry = new LayoutRegistry({ layouts: [ legacy, current ] })
+   * const content = registry.parseId(id) // { layoutVersion: 1, timestamp, machineId: 5, sequence: 0 }
+   */
+  constructor(options) {
+    const { layouts, encoding } = options || {}
+    if (layouts !== undefined && !Array.isArray(layouts)) {
+      throw new InvalidOptionError('layouts must be an array of CustomSnowflakeId')
+    }
+    if (encoding !== undefined) {
+      assertEncoding(encoding)
+    }
+    this.encoding = encoding || 'decimal'
+    this.layouts = new Map()
+    this.layoutVersionBits = null
+    for (const layout of layouts || []) {
+      this.register(layout)
+    }
+  }
+
+  /**
+   * Register the layout of a generator, unversioned layouts are registered as version 0
+   * @param {CustomSnowflakeId} snowflakeId - generator of the layout
+   * @returns {LayoutRegistry} the registry for chaining
+   * @throws {InvalidOptionError} If its version is registered already, or its LayoutVersionBits differ from other layouts
+   */
+  register(snowflakeId) {
+    if (!(snowflakeId instanceof CustomSnowflakeId)) {
+      throw new InvalidOptionError('Layout must be an instance of CustomSnowflakeId')
+    }
+    const { layoutVersion, layoutVersionBits } = snowflakeId.getLayout()
+    const version = layoutVersion === null ? 0 : layoutVersion
+    if (layoutVersionBits > 0 && this.layoutVersionBits !== null && layoutVersionBits !== this.layoutVersionBits) {
+      throw new InvalidOptionError(`LayoutVersionBits of all layouts must be ${this.layoutVersionBits}, got ${layoutVersionBits}`)
+    }
+    if (this.layouts.has(version)) {
+      throw new InvalidOptionError(`Layout version ${version} is registered already`)
+    }
+    if (layoutVersionBits > 0) {
+      this.layoutVersionBits = layoutVersionBits
+    }
+    this.layouts.set(version, snowflakeId)
+    return this
+  }
+
+  decode(id, options) {
+    // Decode id of any encoding to its bits
+    const encoding = options && options.encoding !== undefined ? options.encoding : this.encoding
+    assertEncoding(encoding)
+    try {
+      return decodeId(id, encoding)
+    } catch (error) {
+      throw new InvalidIdError(`snowflakeId must be a valid ${encoding} id`, { cause: error })
+    }
+  }
+
+  versionOf(idBits) {
+    // Layout version in the top bits below the sign bit, 0 while no versioned layout is registered
+    if (this.layouts.size === 0) {
+      throw new InvalidOptionError('No layout is registered')
+    }
+    const version = this.layoutVersionBits === null ? 0 : Number(idBits >> BigInt(63 - this.layoutVersionBits))
+    if (!this.layouts.has(version)) {
+      throw new InvalidIdError(`snowflakeId has unregistered layout version ${version}`)
+    }
+    return version
+  }
+
+  /**
+   * Get the generator of the layout which produced an id
+   * @param {string|bigint|Buffer} snowflakeId - id in the registry encoding, a bigint or an 8-byte Buffer
+   * @param {object} options - optional, { encoding } of a string id
+   * @returns {CustomSnowflakeId} generator of the layout
+   * @throws {InvalidIdError} If snowflakeId is invalid or its layout version is not registered
+   */
+  layoutOf(snowflakeId, options) {
+    return this.layouts.get(this.versionOf(this.decode(snowflakeId, options)))
+  }
+
+  /**
+   * Parse an id of any registered layout
+   * @param {string|bigint|Buffer} snowflakeId - id in the registry encoding, a bigint or an 8-byte Buffer
+   * @param {object} options - optional, { encoding } of a string id, and the options of parseId like { strict: true }
+   * @returns {object} parsed object containing layoutVersion and the fields of the layout, e.g. { layoutVersion, timestamp, machineId, sequence }
+   * @throws {InvalidIdError} If snowflakeId is invalid, its layout version is not registered, or it fails the strict checks
+   */
+  parseId(snowflakeId, options) {
+    const idBits = this.decode(snowflakeId, options)
+    const layoutVersion = this.versionOf(idBits)
+    return Object.assign({ layoutVersion }, this.layouts.get(layoutVersion).parseId(idBits, options))
+  }
+
+  /**
+   * Get the lowest and highest possible ids between two timestamps in each layout, for queries over rows of mixed layouts
+   * Layouts whose lifetime does not overlap the range are left out, the range is clamped to the lifetime of the others
+   * The lifetime of unversioned layouts ends where their timestamps grow into the version bits of the versioned ones
+   * @param {number|Date} from - first timestamp of the range
+   * @param {number|Date} to - last timestamp of the range, inclusive
+   * @param {object} options - optional, { machineId } or { fields } to bound ids of one machine, { encoding } of the bounds
+   * @returns {Array<object>} { layoutVersion, min, max } of each layout, in increasing layout version
+   * @throws {InvalidArgumentError} If a timestamp is not an integer number or a valid Date, or from is after to
+   * @example
+   * const ranges = registry.translateRange(new Date('2025-12-01T00:00:00.000Z'), new Date('2026-02-01T00:00:00.000Z'))
+   * // WHERE id BETWEEN ranges[0].min AND ranges[0].max OR id BETWEEN ranges[1].min AND ranges[1].max
+   */
+  translateRange(from, to, options) {
+    const fromMs = toMilliseconds(from)
+    const toMs = toMilliseconds(to)
+    if (fromMs > toMs) {
+      throw new InvalidArgumentError('From timestamp must not be after to timestamp')
+    }
+    const ranges = []
+    for (const version of [ ...this.layouts.keys() ].sort((a, b) => a - b)) {
+      const layout = this.layouts.get(version)
+      const { epoch, expiresAt, layoutVersion, machineIdBits, sequenceBits, timeUnitMs } = layout.getLayout()
+      const startMs = Math.max(fromMs, epoch.getTime())
+      let endMs = expiresAt ? Math.min(toMs, expiresAt.getTime() - 1) : toMs
+      if (layoutVersion === null && this.layoutVersionBits !== null) {
+        // Ids after the overflow have a non-zero version, so they can't be told apart from ids of versioned layouts
+        const timestampBits = BigInt(63 - this.layoutVersionBits - machineIdBits - sequenceBits)
+        const overflowMs = BigInt(epoch.getTime()) + (BigInt(1) << timestampBits) * BigInt(timeUnitMs)
+        endMs = Math.min(endMs, Number(overflowMs) - 1)
+      }
+      if (startMs > endMs) continue
+      ranges.push(Object.assign({ layoutVersion: version }, layout.timeRange(startMs, endMs, options)))
+    }
+    return ranges
+  }
+}
+
+module.exports = {
+  LayoutRegistry,
+}
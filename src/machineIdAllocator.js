@@ -0,0 +1,226 @@
+// Machine id allocators hand out unique machine ids as leases with a TTL
+// A lease must be renewed before it expires, otherwise another generator may acquire the same machine id
+
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { InvalidOptionError, MachineIdUnavailableError } = require('./errors')
+
+class MachineIdAllocator {
+  constructor(options) {
+    const { ttlMs } = options || {}
+    if (ttlMs !== undefined && (typeof ttlMs !== 'number' || !Number.isInteger(ttlMs) || ttlMs <= 0)) {
+      throw new InvalidOptionError('ttlMs must be a positive integer')
+    }
+    this.ttlMs = ttlMs || 30000
+  }
+
+  // Acquire a free machine id between 0 and maxMachineId
+  // Resolves to a lease { machineId, token, expiresAt }
+  async acquire(maxMachineId) {
+    throw new Error('acquire is not implemented')
+  }
+
+  // Extend the lease by ttlMs
+  // Resolves to the renewed lease, or null if the lease is lost
+  async renew(lease) {
+    throw new Error('renew is not implemented')
+  }
+
+  // Give the machine id back
+  async release(lease) {
+    throw new Error('release is not implemented')
+  }
+
+  createLease(machineId) {
+    return { machineId, token: crypto.randomUUID(), expiresAt: new Date(Date.now() + this.ttlMs) }
+  }
+}
+
+class MemoryMachineIdAllocator extends MachineIdAllocator {
+  constructor(options) {
+    super(options)
+    this.leases = new Map()
+  }
+
+  async acquire(maxMachineId) {
+    // Take the first machine id which is free or whose lease expired
+    for (let machineId = 0; machineId <= maxMachineId; machineId++) {
+      const current = this.leases.get(machineId)
+      if (!current || current.expiresAt.getTime() <= Date.now()) {
+        const lease = this.createLease(machineId)
+        this.leases.set(machineId, lease)
+        return Object.assign({}, lease)
+      }
+    }
+    throw new MachineIdUnavailableError(`All machine ids between 0 and ${maxMachineId} are leased`)
+  }
+
+  async renew(lease) {
+    const current = this.leases.get(lease.machineId)
+    if (!current || current.token !== lease.token || current.expiresAt.getTime() <= Date.now()) {
+      return null
+    }
+    current.expiresAt = new Date(Date.now() + this.ttlMs)
+    return Object.assign({}, current)
+  }
+
+  async release(lease) {
+    const current = this.leases.get(lease.machineId)
+    if (current && current.token === lease.token) {
+      this.leases.delete(lease.machineId)
+    }
+  }
+}
+
+// Leases are lock files in a directory shared by all generators, e.g. a mounted volume
+// Each lock file holds the lease token and expiry, expired lock files are taken over under a steal lock
+// Lock files are written to a temp file and linked into place, so they never appear empty or half-written
+class FileMachineIdAllocator extends MachineIdAllocator {
+  constructor(options) {
+    super(options)
+    const { directory } = options || {}
+    if (typeof directory !== 'string' || directory.length === 0) {
+      throw new InvalidOptionError('directory must be a non-empty string')
+    }
+    this.directory = directory
+  }
+
+  lockPath(machineId) {
+    return path.join(this.directory, `machine-${machineId}.lock`)
+  }
+
+  async readLock(machineId) {
+    // Read a lock file, null if it does not exist
+    // A lock file which can not be parsed is held until its mtime plus ttlMs, it may be written right now
+    let content
+    try {
+      content = await fs.promises.readFile(this.lockPath(machineId), 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+    try {
+      const lock = JSON.parse(content)
+      const expiresAt = new Date(lock.expiresAt)
+      if (typeof lock.token === 'string' && !Number.isNaN(expiresAt.getTime())) {
+        return { machineId, token: lock.token, expiresAt }
+      }
+    } catch (error) {
+      // Fall back to the mtime below
+    }
+    const stat = await fs.promises.stat(this.lockPath(machineId)).catch(() => null)
+    if (!stat) {
+      return null
+    }
+    return { machineId, token: null, expiresAt: new Date(stat.mtimeMs + this.ttlMs) }
+  }
+
+  serializeLease(lease) {
+    return JSON.stringify({
+      token: lease.token,
+      expiresAt: lease.expiresAt.toISOString(),
+      hostname: os.hostname(),
+      pid: process.pid,
+    })
+  }
+
+  async createLock(machineId) {
+    // Create a lock file only if it does not exist yet, linking a complete temp file into place
+    const lease = this.createLease(machineId)
+    const tempPath = `${this.lockPath(machineId)}.${lease.token}.tmp`
+    await fs.promises.writeFile(tempPath, this.serializeLease(lease))
+    try {
+      await fs.promises.link(tempPath, this.lockPath(machineId))
+      return lease
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return null
+      }
+      throw error
+    } finally {
+      await fs.promises.rm(tempPath, { force: true })
+    }
+  }
+
+  async stealLock(machineId, stale) {
+    // Only one generator may take over an expired lock file at a time
+    const stealPath = `${this.lockPath(machineId)}.steal`
+    try {
+      await fs.promises.mkdir(stealPath)
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error
+      }
+      // Clean up steal locks left behind by crashed generators
+      const stat = await fs.promises.stat(stealPath).catch(() => null)
+      if (stat && stat.mtimeMs + this.ttlMs <= Date.now()) {
+        await fs.promises.rmdir(stealPath).catch(() => {})
+      }
+      return null
+    }
+
+    try {
+      // Take over only if the lock file did not change since it was read
+      const current = await this.readLock(machineId)
+      if (current && (current.token !== stale.token || current.expiresAt.getTime() > Date.now())) {
+        return null
+      }
+      await fs.promises.rm(this.lockPath(machineId), { force: true })
+      return await this.createLock(machineId)
+    } finally {
+      await fs.promises.rmdir(stealPath).catch(() => {})
+    }
+  }
+
+  async acquire(maxMachineId) {
+    await fs.promises.mkdir(this.directory, { recursive: true })
+
+    // Take the first machine id which has no lock file or whose lock file expired
+    for (let machineId = 0; machineId <= maxMachineId; machineId++) {
+      const lease = await this.createLock(machineId)
+      if (lease) {
+        return lease
+      }
+      const current = await this.readLock(machineId)
+      if (!current || current.expiresAt.getTime() <= Date.now()) {
+        const stolen = await this.stealLock(machineId, current || {})
+        if (stolen) {
+          return stolen
+        }
+      }
+    }
+    throw new MachineIdUnavailableError(`All machine ids between 0 and ${maxMachineId} are leased in ${this.directory}`)
+  }
+
+  async renew(lease) {
+    // Renew only an unexpired lock file which still holds the lease token
+    const current = await this.readLock(lease.machineId)
+    if (!current || current.token !== lease.token || current.expiresAt.getTime() <= Date.now()) {
+      return null
+    }
+
+    // Replace the lock file atomically
+    const renewed = { machineId: lease.machineId, token: lease.token, expiresAt: new Date(Date.now() + this.ttlMs) }
+    const tempPath = `${this.lockPath(lease.machineId)}.${lease.token}.tmp`
+    await fs.promises.writeFile(tempPath, this.serializeLease(renewed))
+    await fs.promises.rename(tempPath, this.lockPath(lease.machineId))
+    return renewed
+  }
+
+  async release(lease) {
+    const current = await this.readLock(lease.machineId)
+    if (current && current.token === lease.token) {
+      await fs.promises.rm(this.lockPath(lease.machineId), { force: true })
+    }
+  }
+}
+
+module.exports = {
+  MachineIdAllocator,
+  MemoryMachineIdAllocator,
+  FileMachineIdAllocator,
+}
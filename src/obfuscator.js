@@ -0,0 +1,100 @@
+// Reversible obfuscation of 64-bit ids for public exposure
+// A keyed Feistel network permutes the 64 bits, so public ids look uniformly distributed and
+// hide creation time, machine id and volume, while holders of the key can recover the raw id
+// Public ids are a key version character followed by 11 base62 characters of the permuted bits
+
+const crypto = require('crypto')
+const { InvalidOptionError, InvalidIdError } = require('./errors')
+const { encodeId, decodeId } = require('./encoding')
+
+const VERSION_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+const ROUNDS = 6
+const HALF_MASK = BigInt(0xffffffff)
+const MAX_ID = BigInt(2) ** BigInt(64) - BigInt(1)
+
+class IdObfuscator {
+  constructor(options) {
+    const { keys, version } = options || {}
+    if (!keys || typeof keys !== 'object' || Array.isArray(keys) || Object.keys(keys).length === 0) {
+      throw new InvalidOptionError('keys must be an object of key versions to keys')
+    }
+
+    // Key versions are single characters of public ids
+    this.keys = new Map()
+    for (const [ name, key ] of Object.entries(keys)) {
+      const keyVersion = Number(name)
+      if (!Number.isInteger(keyVersion) || keyVersion < 0 || keyVersion >= VERSION_ALPHABET.length) {
+        throw new InvalidOptionError(`Key version must be an integer between 0 and ${VERSION_ALPHABET.length - 1}`)
+      }
+      const keyBuffer = typeof key === 'string' ? Buffer.from(key) : key
+      if (!Buffer.isBuffer(keyBuffer) || keyBuffer.length < 16) {
+        throw new InvalidOptionError(`Key of version ${keyVersion} must be a string or Buffer of at least 16 bytes`)
+      }
+      this.keys.set(keyVersion, keyBuffer)
+    }
+
+    // New public ids use the given version, the latest one by default
+    this.version = version === undefined ? Math.max(...this.keys.keys()) : version
+    if (!this.keys.has(this.version)) {
+      throw new InvalidOptionError(`version ${this.version} has no key`)
+    }
+  }
+
+  round(key, index, half) {
+    // Round function of the Feistel network, 32 bits of an HMAC of round index and half
+    const input = Buffer.alloc(5)
+    input.writeUInt8(index, 0)
+    input.writeUInt32BE(Number(half), 1)
+    return BigInt(crypto.createHmac('sha256', key).update(input).digest().readUInt32BE(0))
+  }
+
+  permute(id, key) {
+    let left = id >> BigInt(32)
+    let right = id & HALF_MASK
+    for (let index = 0; index < ROUNDS; index++) {
+      const next = left ^ this.round(key, index, right)
+      left = right
+      right = next
+    }
+    return (left << BigInt(32)) | right
+  }
+
+  unpermute(id, key) {
+    let left = id >> BigInt(32)
+    let right = id & HALF_MASK
+    for (let index = ROUNDS - 1; index >= 0; index--) {
+      const previous = right ^ this.round(key, index, left)
+      right = left
+      left = previous
+    }
+    return (left << BigInt(32)) | right
+  }
+
+  // Obfuscate a raw 64-bit id with the key of the current version
+  encode(id) {
+    if (typeof id !== 'bigint' || id < BigInt(0) || id > MAX_ID) {
+      throw new InvalidIdError('Id must be a 64-bit unsigned bigint')
+    }
+    return VERSION_ALPHABET[this.version] + encodeId(this.permute(id, this.keys.get(this.version)), 'base62')
+  }
+
+  // Recover the raw 64-bit id of a public id, with the key of its version
+  decode(publicId) {
+    if (typeof publicId !== 'string' || publicId.length !== 12) {
+      throw new InvalidIdError('Public id must be a string of 12 characters')
+    }
+    const keyVersion = VERSION_ALPHABET.indexOf(publicId[0])
+    if (!this.keys.has(keyVersion)) {
+      throw new InvalidIdError(`Public id has unknown key version '${publicId[0]}'`)
+    }
+    const permuted = decodeId(publicId.slice(1), 'base62')
+    if (permuted > MAX_ID) {
+      throw new InvalidIdError('Public id must encode 64 bits')
+    }
+    return this.unpermute(permuted, this.keys.get(keyVersion))
+  }
+}
+
+module.exports = {
+  IdObfuscator,
+}
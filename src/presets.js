@@ -0,0 +1,56 @@
+// Layouts of third-party snowflake formats as CustomSnowflakeId options
+// Field names follow the documentation of each format
+
+const PRESETS = {
+  // 41 bits timestamp since 2010-11-04, 5 bits datacenter id, 5 bits worker id, 12 bits sequence
+  twitter: {
+    FirstTimestamp: 1288834974657,
+    TimestampBits: 41,
+    Schema: [ { name: 'datacenterId', bits: 5 }, { name: 'workerId', bits: 5 } ],
+    SequenceBits: 12,
+  },
+  // 42 bits timestamp since 2015-01-01, 5 bits internal worker id, 5 bits internal process id, 12 bits increment
+  discord: {
+    FirstTimestamp: 1420070400000,
+    TimestampBits: 42,
+    Schema: [ { name: 'workerId', bits: 5 }, { name: 'processId', bits: 5 } ],
+    SequenceBits: 12,
+    UseSignBit: true,
+  },
+  // 41 bits timestamp since 2011-08-24, 13 bits logical shard id, 10 bits sequence
+  instagram: {
+    FirstTimestamp: 1314220021721,
+    TimestampBits: 41,
+    Schema: [ { name: 'shardId', bits: 13 } ],
+    SequenceBits: 10,
+    UseSignBit: true,
+  },
+  // 48 bits Unix timestamp, 16 bits of hashed sequence data
+  mastodon: {
+    FirstTimestamp: 0,
+    TimestampBits: 48,
+    Schema: [],
+    SequenceBits: 16,
+    UseSignBit: true,
+  },
+  // 39 bits timestamp in 10 ms units since 2014-09-01, 8 bits sequence, 16 bits machine id
+  sonyflake: {
+    FirstTimestamp: 1409529600000,
+    TimestampBits: 39,
+    TimeUnitMs: 10,
+    Schema: [ { name: 'machineId', bits: 16 } ],
+    SequenceBits: 8,
+    SequenceBeforeFields: true,
+  },
+}
+
+// Options which make up the layout of a preset and can't be overridden
+const LAYOUT_OPTIONS = [
+  'MachineIdBits', 'SequenceBits', 'MachineId', 'FirstTimestamp', 'TimestampBits', 'TimeUnitMs',
+  'Schema', 'UseSignBit', 'SequenceBeforeFields', 'LayoutVersion', 'LayoutVersionBits',
+]
+
+module.exports = {
+  PRESETS,
+  LAYOUT_OPTIONS,
+}
@@ -0,0 +1,75 @@
+// Prometheus text exposition of generator statistics
+// Works with any scrape setup without depending on a metrics client library
+
+const { InvalidArgumentError } = require('./errors')
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([ , value ]) => value !== null && value !== undefined)
+  if (entries.length === 0) return ''
+  return `{${entries.map(([ name, value ]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+/**
+ * Format generator statistics in the Prometheus text exposition format
+ * @param {object} source - a generator with getStats(), e.g. a CustomSnowflakeId, or stats returned by getStats()
+ * @param {object} options - optional, { prefix } of metric names (default: 'snowflakeid'), { labels } added to every metric (default: {})
+ * @returns {string} metrics in Prometheus text format, version 0.0.4
+ * @throws {InvalidArgumentError} If source has no statistics
+ * @example
+ * const { CustomSnowflakeId, toPrometheus } = require('snowflakeid-producer')
+ * const snowflakeId = new CustomSnowflakeId({ MachineId: 5 })
+ * console.log(toPrometheus(snowflakeId, { labels: { service: 'orders' } }))
+ * // # HELP snowflakeid_ids_issued_total Ids issued by the generator
+ * // # TYPE snowflakeid_ids_issued_total counter
+ * // snowflakeid_ids_issued_total{service="orders",machine_id="5"} 0
+ */
+function toPrometheus(source, options) {
+  const stats = source && typeof source.getStats === 'function' ? source.getStats() : source
+  if (!stats || typeof stats !== 'object' || typeof stats.idsIssued !== 'number') {
+    throw new InvalidArgumentError('Source must be a generator with getStats() or its stats')
+  }
+  const { prefix, labels } = options || {}
+  const name = prefix || 'snowflakeid'
+  const commonLabels = Object.assign({}, labels, { machine_id: stats.machineId })
+  const { layout } = stats
+
+  const metrics = [
+    [ 'ids_issued_total', 'counter', 'Ids issued by the generator', stats.idsIssued ],
+    [ 'peak_ids_per_ms', 'gauge', 'Most ids issued within one millisecond', stats.peakIdsPerMs ],
+    [ 'sequence_exhausted_total', 'counter', 'Times the sequence of a time unit ran out', stats.sequenceExhaustedCount ],
+    [ 'clock_backwards_total', 'counter', 'Times the clock was detected moving backwards', stats.clockBackwardsCount ],
+    [ 'waits_total', 'counter', 'Times the generator waited for the clock', stats.waitCount ],
+    [ 'wait_seconds_total', 'counter', 'Time spent waiting for the clock', stats.waitTimeMs / 1000 ],
+  ]
+  if (stats.remainingLifetimeMs !== null && stats.remainingLifetimeMs !== undefined) {
+    metrics.push([ 'remaining_lifetime_seconds', 'gauge', 'Time left until the layout runs out of timestamps', stats.remainingLifetimeMs / 1000 ])
+  }
+
+  const lines = []
+  for (const [ metric, type, help, value ] of metrics) {
+    lines.push(`# HELP ${name}_${metric} ${help}`)
+    lines.push(`# TYPE ${name}_${metric} ${type}`)
+    lines.push(`${name}_${metric}${formatLabels(commonLabels)} ${value}`)
+  }
+  if (layout) {
+    const layoutLabels = Object.assign({}, commonLabels, {
+      timestamp_bits: layout.timestampBits,
+      machine_id_bits: layout.machineIdBits,
+      sequence_bits: layout.sequenceBits,
+      time_unit_ms: layout.timeUnitMs,
+      epoch: layout.epoch.toISOString(),
+    })
+    lines.push(`# HELP ${name}_layout_info Bit layout of the generator`)
+    lines.push(`# TYPE ${name}_layout_info gauge`)
+    lines.push(`${name}_layout_info${formatLabels(layoutLabels)} 1`)
+  }
+  return `${lines.join('\n')}\n`
+}
+
+module.exports = {
+  toPrometheus,
+}
@@ -0,0 +1,195 @@
+// HTTP id service built on Node's http module
+// Lets services which can't require this package get ids of the same scheme, like a sidecar
+
+const http = require('http')
+const CustomSnowflakeId = require('./customSnowflake')
+const { parseDate } = require('./dates')
+const { toText } = require('./encoding')
+const { toPrometheus } = require('./prometheus')
+const { SnowflakeIdError, InvalidArgumentError, ClockBehindStateError } = require('./errors')
+
+// Errors caused by the request, other SnowflakeIdErrors mean the generator can't issue ids right now
+const CLIENT_ERROR_CODES = [ 'ERR_INVALID_ID', 'ERR_INVALID_ARGUMENT', 'ERR_INVALID_OPTION', 'ERR_TIMESTAMP_BEFORE_EPOCH', 'ERR_LAYOUT_EXPIRED' ]
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message)
+    this.statusCode = statusCode
+  }
+}
+
+function parseDateParameter(value, name) {
+  if (!value) {
+    throw new HttpError(400, `Query parameter '${name}' is required`)
+  }
+  const date = parseDate(value)
+  if (!date) {
+    throw new HttpError(400, `Query parameter '${name}' must be an ISO date or a milliseconds timestamp`)
+  }
+  return date
+}
+
+function parseCount(value, maxCount) {
+  const count = value === null ? 1 : Number(value)
+  if (!Number.isInteger(count) || count <= 0 || count > maxCount) {
+    throw new HttpError(400, `Query parameter 'count' must be an integer between 1 and ${maxCount}`)
+  }
+  return count
+}
+
+function decodePathSegment(segment) {
+  // Malformed percent-encodings are a bad request
+  try {
+    return decodeURIComponent(segment)
+  } catch (error) {
+    throw new HttpError(400, 'Path must be a valid percent-encoded id')
+  }
+}
+
+function issuingError(snowflakeId) {
+  // Error which keeps the generator from issuing ids right now, null if it can issue ids
+  try {
+    snowflakeId.assertLease()
+  } catch (error) {
+    return error
+  }
+  const resumeAt = snowflakeId.snowflake.getResumeAt()
+  return resumeAt ? new ClockBehindStateError(resumeAt) : null
+}
+
+function toPlainText(body) {
+  // Plain text form of a response body: lists one item per line, objects as key=value lines
+  if (Array.isArray(body)) {
+    return body.map(toPlainText).join('\n')
+  }
+  if (body && typeof body === 'object') {
+    return Object.entries(body).map(([ key, value ]) => `${key}=${value instanceof Date ? value.toISOString() : value}`).join('\n')
+  }
+  return String(body)
+}
+
+function send(request, response, statusCode, body, text) {
+  // Respond with plain text if the client prefers it over JSON
+  const accept = request.headers.accept || ''
+  const plain = accept.includes('text/plain') && !accept.includes('application/json')
+  const payload = plain ? `${text !== undefined ? text : toPlainText(body)}\n` : JSON.stringify(body)
+  response.writeHead(statusCode, {
+    'Content-Type': plain ? 'text/plain; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Vary': 'Accept',
+  })
+  response.end(payload)
+}
+
+/**
+ * Create an HTTP server which issues, parses and ranges ids
+ * Endpoints: GET /id, GET /ids?count=N, GET /parse/:id, GET /range?from=&to=, GET /health, GET /metrics (Prometheus text format)
+ * Responses are JSON, or plain text when the Accept header asks for text/plain
+ * @param {CustomSnowflakeId|object} generatorOrOptions - a CustomSnowflakeId, or options to create one (default: {})
+ * @param {object} options - optional, { maxCount } largest count of /ids (default: 1000)
+ * @returns {http.Server} server with a shutdown(timeoutMs) method for graceful shutdown
+ * @throws {InvalidOptionError} If options of the CustomSnowflakeId are not valid
+ * @example
+ * const { createServer } = require('snowflakeid-producer')
+ * const server = createServer({ MachineId: 5 }, { maxCount: 500 })
+ * server.listen(8080)
+ * process.on('SIGTERM', () => server.shutdown(10000))
+ */
+function createServer(generatorOrOptions, options) {
+  const ownsGenerator = !(generatorOrOptions instanceof CustomSnowflakeId)
+  const snowflakeId = ownsGenerator ? new CustomSnowflakeId(generatorOrOptions) : generatorOrOptions
+  const { maxCount } = options || {}
+  if (maxCount !== undefined && (!Number.isInteger(maxCount) || maxCount <= 0)) {
+    throw new InvalidArgumentError('maxCount must be a positive integer')
+  }
+  const limit = maxCount || 1000
+  const startedAt = Date.now()
+  const counters = { requests: 0, idsIssued: 0, errors: 0 }
+
+  async function handle(request, response) {
+    const url = new URL(request.url, 'http://localhost')
+    const path = url.pathname.replace(/\/+$/, '') || '/'
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      throw new HttpError(405, `Method ${request.method} is not allowed`)
+    }
+
+    if (path === '/id') {
+      const id = toText(await snowflakeId.newIdAsync())
+      counters.idsIssued++
+      return send(request, response, 200, { id }, id)
+    }
+    if (path === '/ids') {
+      const ids = snowflakeId.newIds(parseCount(url.searchParams.get('count'), limit)).map(toText)
+      counters.idsIssued += ids.length
+      return send(request, response, 200, { ids }, ids.join('\n'))
+    }
+    if (path.startsWith('/parse/')) {
+      const parsed = snowflakeId.parseId(decodePathSegment(path.slice('/parse/'.length)), { strict: true, allowFuture: true })
+      return send(request, response, 200, parsed)
+    }
+    if (path === '/range') {
+      const from = parseDateParameter(url.searchParams.get('from'), 'from')
+      const to = parseDateParameter(url.searchParams.get('to'), 'to')
+      const { min, max } = snowflakeId.timeRange(from, to)
+      const firstId = toText(min)
+      const lastId = toText(max)
+      return send(request, response, 200, { from, to, firstId, lastId }, `${firstId}\n${lastId}`)
+    }
+    if (path === '/health') {
+      // Unhealthy while ids can't be issued, e.g. after the machine id lease is lost
+      const error = issuingError(snowflakeId)
+      const status = error ? { status: 'unavailable', error: error.message, code: error.code } : { status: 'ok' }
+      return send(request, response, error ? 503 : 200, Object.assign(status, {
+        uptimeMs: Date.now() - startedAt,
+      }, counters, { layout: snowflakeId.getLayout() }))
+    }
+    if (path === '/metrics') {
+      const payload = toPrometheus(snowflakeId)
+      response.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+      })
+      return response.end(payload)
+    }
+    throw new HttpError(404, `No endpoint at ${path}`)
+  }
+
+  const server = http.createServer((request, response) => {
+    counters.requests++
+    handle(request, response).catch((error) => {
+      counters.errors++
+      let statusCode = 500
+      if (error instanceof HttpError) {
+        statusCode = error.statusCode
+      } else if (error instanceof SnowflakeIdError) {
+        statusCode = CLIENT_ERROR_CODES.includes(error.code) ? 400 : 503
+      }
+      send(request, response, statusCode, { error: error.message, code: error.code })
+    })
+  })
+
+  /**
+   * Stop accepting connections, wait for in-flight requests and close the generator if the server created it
+   * Connections still open after timeoutMs are destroyed
+   * @param {number} timeoutMs - optional (default: 10000)
+   * @returns {Promise<void>}
+   */
+  server.shutdown = function shutdown(timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => server.closeAllConnections(), timeoutMs || 10000)
+      timer.unref()
+      server.close((error) => {
+        clearTimeout(timer)
+        const closing = ownsGenerator ? snowflakeId.close() : Promise.resolve()
+        closing.then(() => error ? reject(error) : resolve(), reject)
+      })
+      server.closeIdleConnections()
+    })
+  }
+  server.snowflakeId = snowflakeId
+  return server
+}
+
+module.exports = {
+  createServer,
+}
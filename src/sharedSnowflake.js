@@ -0,0 +1,53 @@
+// SnowflakeId generator whose timestamp and sequence live in a SharedArrayBuffer
+// All worker_threads with the same buffer draw from one generator, updates are made with Atomics
+
+const SnowflakeIdGenerator = require('./snowflake')
+const { InvalidOptionError } = require('./errors')
+
+class SharedSnowflakeIdGenerator extends SnowflakeIdGenerator {
+  // Create the shared state to pass to all threads, e.g. through workerData
+  static createSharedState() {
+    const buffer = new SharedArrayBuffer(8)
+    new BigInt64Array(buffer)[0] = BigInt(-1)
+    return buffer
+  }
+
+  constructor(machineIdBits, sequenceBits, machineId, firstTimestamp, options) {
+    super(machineIdBits, sequenceBits, machineId, firstTimestamp, options)
+
+    // Timestamp and sequence are packed into one 64-bit value, -1 until the first id
+    if (this.timestampBits + this.sequenceBits > BigInt(63)) {
+      throw new InvalidOptionError('SharedState requires TimestampBits and SequenceBits to sum to at most 63')
+    }
+    this.state = new BigInt64Array(options.sharedState, 0, 1)
+  }
+
+  loadState() {
+    // Read last timestamp and sequence of all threads
+    const state = Atomics.load(this.state, 0)
+    this.lastTimestamp = state < BigInt(0) ? BigInt(-1) : state >> this.sequenceBits
+    this.sequence = state < BigInt(0) ? BigInt(0) : state & this.maxSequence
+    return state
+  }
+
+  claimSequence(count) {
+    // Claim sequence numbers like a single generator, retrying if another thread claimed first
+    // Only the claim which wins the exchange is committed, so its events, stats and state saves happen once
+    for (;;) {
+      const state = this.loadState()
+      const claim = this.planClaim(count)
+      const nextState = (claim.block.timestamp << this.sequenceBits) | claim.block.lastSequence
+      if (Atomics.compareExchange(this.state, 0, state, nextState) === state) {
+        return this.commitClaim(claim)
+      }
+    }
+  }
+
+  async generateIdAsync(options) {
+    // Check sequence exhaustion against the shared state
+    this.loadState()
+    return super.generateIdAsync(options)
+  }
+}
+
+module.exports = SharedSnowflakeIdGenerator
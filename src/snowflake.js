@@ -1,12 +1,45 @@
 // Uniqeu ID Generator Using Snowflake Algorithm
-// Parameters: 41 bits timestamp, 10 bits machine id, 12 bits sequence
+// Parameters: 41 bits timestamp, 10 bits machine id, 12 bits sequence (by default)
+// Timestamp width and time unit can be changed through options
 
 const os = require('os')
+const EventEmitter = require('events')
+const {
+  InvalidOptionError,
+  InvalidArgumentError,
+  InvalidIdError,
+  TimestampBeforeEpochError,
+  LayoutExpiredError,
+  ClockBackwardsError,
+  ClockBehindStateError,
+} = require('./errors')
+const { assertEncoding, encodeId, decodeId } = require('./encoding')
+const { SystemClock } = require('./clock')
+const { toMilliseconds } = require('./dates')
+
+// Largest milliseconds timestamp a Date instance can hold
+const MAX_DATE_MS = 8640000000000000
+
+// Remaining lifetime below which epochNearExhaustion is emitted, capped at a tenth of the lifetime
+const EPOCH_WARNING_MS = 365 * 24 * 60 * 60 * 1000
+
+// Lengths of the ISO date prefixes which are the partition keys of bucketOf
+const BUCKET_KEY_LENGTHS = { hour: 13, day: 10 }
+
+class SnowflakeIdGenerator extends EventEmitter {
+  constructor(machineIdBits, sequenceBits, machineId, firstTimestamp, options) {
+    const {
+      timestampBits, timeUnitMs, clockBackwardsPolicy, clockBackwardsToleranceMs, onClockBackwards, encoding, fields,
+      stateStore, stateSaveIntervalMs, stateSafetyMarginMs, epochWarningMs, clock, sequenceBeforeFields,
+      layoutVersionBits, layoutVersion
+    } = options || {}
+    super()
+
+    // Initialize clock source, all time reads and waits go through it
+    this.clock = clock || new SystemClock()
 
-class SnowflakeIdGenerator {
-  constructor(machineIdBits, sequenceBits, machineId, firstTimestamp) {
     // Initialize bits
-    this.timestampBits = BigInt(41)
+    this.timestampBits = BigInt(timestampBits || 41)
     this.machineIdBits = BigInt(machineIdBits)
     this.sequenceBits = BigInt(sequenceBits)
 
@@ -15,12 +48,296 @@ class SnowflakeIdGenerator {
     this.maxMachineId = BigInt(2) ** this.machineIdBits - BigInt(1)
     this.maxSequence = BigInt(2) ** this.sequenceBits - BigInt(1)
 
+    // Initialize positions of node and sequence bits, the sequence comes before the node in Sonyflake ids
+    this.sequenceBeforeFields = Boolean(sequenceBeforeFields)
+    this.nodeShift = this.sequenceBeforeFields ? BigInt(0) : this.sequenceBits
+    this.sequenceShift = this.sequenceBeforeFields ? this.machineIdBits : BigInt(0)
+
+    // Initialize layout version in the top bits below the sign bit, unversioned layouts have no version bits
+    this.layoutVersionBits = BigInt(layoutVersionBits || 0)
+    this.layoutVersion = this.layoutVersionBits > BigInt(0) ? BigInt(layoutVersion) : null
+    this.layoutVersionShift = BigInt(63) - this.layoutVersionBits
+    this.layoutVersionPrefix = this.layoutVersion === null ? BigInt(0) : this.layoutVersion << this.layoutVersionShift
+    this.layoutBitsMask = this.layoutVersion === null ? BigInt(-1) : (BigInt(1) << this.layoutVersionShift) - BigInt(1)
+
+    // Initialize node fields between timestamp and sequence, a single machine id field by default
+    // machineId holds the node value of all fixed fields
+    this.fields = this.createFields(fields || [ {
+      name: 'machineId',
+      bits: machineIdBits,
+      value: (machineId == null || machineId == undefined) ? this.generateMachineId() : machineId
+    } ])
+    this.hasDynamicFields = this.fields.some((field) => field.value === null)
+    this.machineId = this.hasDynamicFields ? BigInt(0) : this.composeNode({})
+
     // Initialize id generation configurations
-    this.machineId = (machineId == null || machineId == undefined) ? this.generateMachineId() : BigInt(machineId)
     this.sequence = BigInt(0)
-    this.lastTimestamp = firstTimestamp ? new Date(firstTimestamp) : new Date('2024-01-01T00:00:00.000Z')
+    this.lastTimestamp = BigInt(-1)
     this.firstTimestamp = firstTimestamp ? new Date(firstTimestamp) : new Date('2024-01-01T00:00:00.000Z')
     this.EPOCH = BigInt(new Date(this.firstTimestamp).getTime())
+
+    // Initialize time unit and layout lifetime
+    this.timeUnitMs = BigInt(timeUnitMs || 1)
+    this.lifetimeMs = (this.maxTimestamp + BigInt(1)) * this.timeUnitMs
+    this.expiresAt = this.EPOCH + this.lifetimeMs <= BigInt(MAX_DATE_MS)
+      ? new Date(Number(this.EPOCH + this.lifetimeMs))
+      : null
+
+    // Initialize warning before the layout runs out of timestamps
+    this.epochWarningMs = epochWarningMs ?? Math.min(EPOCH_WARNING_MS, Number(this.lifetimeMs) / 10)
+    this.epochWarned = false
+
+    // Initialize clock backwards handling, the 'wait' policy waits out rollbacks of any length unless a tolerance is given
+    this.clockBackwardsPolicy = clockBackwardsPolicy || 'wait'
+    this.clockBackwardsToleranceMs = clockBackwardsToleranceMs ?? Infinity
+    this.onClockBackwards = onClockBackwards || null
+    this.clockBackwards = false
+
+    // Initialize encoding of generated ids
+    this.encoding = encoding || 'decimal'
+
+    // Initialize queue of async id requests
+    this.asyncQueue = Promise.resolve()
+
+    // Initialize statistics, ids of the busiest time unit are counted for the peak rate
+    this.stats = {
+      idsIssued: 0,
+      peakIdsPerUnit: 0,
+      unitTimestamp: BigInt(-1),
+      unitIds: 0,
+      sequenceExhaustedCount: 0,
+      clockBackwardsCount: 0,
+      waitCount: 0,
+      waitTimeMs: 0
+    }
+
+    // Initialize persisted state, ids are refused until the clock passes the recovered high-water timestamp
+    this.stateStore = stateStore || null
+    this.stateSaveIntervalMs = stateSaveIntervalMs || 1000
+    this.stateSafetyMarginMs = stateSafetyMarginMs ?? 1000
+    this.persistedHighWaterMs = -Infinity
+    this.resumeAtMs = null
+    this.issuedSinceSave = false
+    this.stateTimer = null
+    if (this.stateStore) {
+      const state = this.stateStore.load()
+      if (state && Number.isFinite(state.highWaterMs)) {
+        this.resumeAtMs = state.highWaterMs
+        this.persistedHighWaterMs = state.highWaterMs
+      }
+
+      // Extend the high-water timestamp periodically while ids are issued
+      this.stateTimer = setInterval(() => {
+        if (this.issuedSinceSave) {
+          this.issuedSinceSave = false
+          this.saveState(this.clock.now())
+        }
+      }, this.stateSaveIntervalMs)
+      this.stateTimer.unref()
+    }
+  }
+
+  getResumeAt() {
+    // Time after which ids can be issued again, null if the recovered state is already passed
+    if (this.resumeAtMs !== null && this.clock.now() > this.resumeAtMs) {
+      this.resumeAtMs = null
+    }
+    return this.resumeAtMs === null ? null : new Date(this.resumeAtMs)
+  }
+
+  saveState(fromMs) {
+    // Persist a high-water timestamp ahead of every id issued until the next save
+    const highWaterMs = Math.max(this.clock.now(), fromMs) + this.stateSaveIntervalMs + this.stateSafetyMarginMs
+    this.stateStore.save({ highWaterMs })
+    this.persistedHighWaterMs = highWaterMs
+  }
+
+  persistTimestamp(timestamp) {
+    // Save synchronously before issuing an id beyond the persisted high-water timestamp
+    if (!this.stateStore) return
+    const endMs = Number((timestamp + BigInt(1)) * this.timeUnitMs + this.EPOCH)
+    if (endMs > this.persistedHighWaterMs) {
+      this.saveState(endMs)
+    }
+    this.issuedSinceSave = true
+  }
+
+  close() {
+    // Stop saving state periodically
+    if (this.stateTimer) {
+      clearInterval(this.stateTimer)
+      this.stateTimer = null
+    }
+  }
+
+  getLayout() {
+    // Describe bit widths, time unit, epoch and lifetime of the layout
+    return {
+      timestampBits: Number(this.timestampBits),
+      machineIdBits: Number(this.machineIdBits),
+      fields: this.fields.map((field) => ({
+        name: field.name,
+        bits: Number(field.bits),
+        value: field.value === null ? null : Number(field.value)
+      })),
+      sequenceBits: Number(this.sequenceBits),
+      sequenceBeforeFields: this.sequenceBeforeFields,
+      layoutVersionBits: Number(this.layoutVersionBits),
+      layoutVersion: this.layoutVersion === null ? null : Number(this.layoutVersion),
+      timeUnitMs: Number(this.timeUnitMs),
+      epoch: new Date(this.firstTimestamp),
+      lifetimeMs: Number(this.lifetimeMs),
+      expiresAt: this.expiresAt ? new Date(this.expiresAt) : null
+    }
+  }
+
+  getStats() {
+    // Summarize ids issued, waits and clock problems since the generator was created
+    const machineIdField = this.fields.find((field) => field.name === 'machineId')
+    return {
+      idsIssued: this.stats.idsIssued,
+      peakIdsPerMs: this.stats.peakIdsPerUnit / Number(this.timeUnitMs),
+      sequenceExhaustedCount: this.stats.sequenceExhaustedCount,
+      clockBackwardsCount: this.stats.clockBackwardsCount,
+      waitCount: this.stats.waitCount,
+      waitTimeMs: this.stats.waitTimeMs,
+      machineId: machineIdField && machineIdField.value !== null ? Number(machineIdField.value) : null,
+      layout: this.getLayout(),
+      remainingLifetimeMs: this.expiresAt ? Math.max(this.expiresAt.getTime() - this.clock.now(), 0) : null
+    }
+  }
+
+  recordIssued(timestamp, count) {
+    // Count issued ids per time unit and warn once when the layout is close to expiry
+    if (timestamp !== this.stats.unitTimestamp) {
+      this.stats.unitTimestamp = timestamp
+      this.stats.unitIds = 0
+    }
+    this.stats.unitIds += count
+    this.stats.idsIssued += count
+    this.stats.peakIdsPerUnit = Math.max(this.stats.peakIdsPerUnit, this.stats.unitIds)
+
+    if (!this.epochWarned && this.expiresAt) {
+      const remainingMs = this.expiresAt.getTime() - this.clock.now()
+      if (remainingMs <= this.epochWarningMs) {
+        this.epochWarned = true
+        this.emit('epochNearExhaustion', { expiresAt: new Date(this.expiresAt), remainingMs })
+      }
+    }
+  }
+
+  recordWait(waitedMs) {
+    // Count time spent waiting for the clock
+    this.stats.waitCount++
+    this.stats.waitTimeMs += waitedMs
+  }
+
+  exhaustSequence() {
+    // Report that all sequence numbers of the last time unit are used
+    this.stats.sequenceExhaustedCount++
+    const timestamp = new Date(Number(this.lastTimestamp * this.timeUnitMs + this.EPOCH))
+    this.emit('sequenceExhausted', { timestamp, maxSequence: Number(this.maxSequence) })
+  }
+
+  toTimestampUnits(timestamp) {
+    // Convert a milliseconds timestamp to time units elapsed since EPOCH
+    const units = (BigInt(timestamp) - this.EPOCH) / this.timeUnitMs
+    if (units > this.maxTimestamp) {
+      throw new LayoutExpiredError(this.expiresAt)
+    }
+    return units
+  }
+
+  currentTimestamp() {
+    // Current time in layout time units
+    return this.toTimestampUnits(this.clock.now())
+  }
+
+  createFields(fields) {
+    // Fields are ordered from the most significant bits, offsets are relative to the node bits
+    let offset = this.machineIdBits
+    return fields.map(({ name, bits, value }) => {
+      offset -= BigInt(bits)
+      return {
+        name,
+        bits: BigInt(bits),
+        offset,
+        max: BigInt(2) ** BigInt(bits) - BigInt(1),
+        value: (value === null || value === undefined) ? null : BigInt(value)
+      }
+    })
+  }
+
+  setFieldValue(name, value) {
+    // Fix the value of a field, e.g. once a machine id is leased
+    const field = this.fields.find((item) => item.name === name)
+    field.value = BigInt(value)
+    this.hasDynamicFields = this.fields.some((item) => item.value === null)
+    this.machineId = this.hasDynamicFields ? BigInt(0) : this.composeNode({})
+  }
+
+  composeNode(values) {
+    // Compose node bits from fixed field values and values of dynamic fields
+    let node = BigInt(0)
+    for (const field of this.fields) {
+      const value = field.value !== null ? field.value : values[field.name]
+      node |= value << field.offset
+    }
+    return node
+  }
+
+  resolveNode(options) {
+    // Node bits of a call, dynamic field values come from options.fields
+    const values = options && options.fields
+    if (!this.hasDynamicFields && (values === null || values === undefined)) {
+      return this.machineId
+    }
+    const checked = this.checkFieldValues(values)
+    for (const field of this.fields) {
+      if (field.value === null && checked[field.name] === undefined) {
+        throw new InvalidArgumentError(`Value of field '${field.name}' is required`)
+      }
+      if (field.value !== null && checked[field.name] !== undefined) {
+        throw new InvalidArgumentError(`Field '${field.name}' has a fixed value`)
+      }
+    }
+    return this.composeNode(checked)
+  }
+
+  checkFieldValues(values) {
+    // Check field values are known fields with integer values in range
+    if (values === null || values === undefined) {
+      return {}
+    }
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      throw new InvalidArgumentError('Fields must be an object')
+    }
+    const checked = {}
+    for (const name of Object.keys(values)) {
+      const field = this.fields.find((item) => item.name === name)
+      if (!field) {
+        throw new InvalidArgumentError(`Unknown field '${name}'`)
+      }
+      const value = values[name]
+      if (!Number.isInteger(value) || value < 0 || BigInt(value) > field.max) {
+        throw new InvalidArgumentError(`Value of field '${name}' must be an integer between 0 and ${field.max}`)
+      }
+      checked[name] = BigInt(value)
+    }
+    return checked
+  }
+
+  nodeBounds(options) {
+    // Lowest and highest node bits matching the field constraints of options.fields
+    const constraints = this.checkFieldValues(options && options.fields)
+    let min = BigInt(0)
+    let max = BigInt(0)
+    for (const field of this.fields) {
+      const value = constraints[field.name]
+      min |= (value === undefined ? BigInt(0) : value) << field.offset
+      max |= (value === undefined ? field.max : value) << field.offset
+    }
+    return { min, max }
   }
 
   generateMachineId() {
@@ -49,105 +366,417 @@ class SnowflakeIdGenerator {
     if (macAddress) {
       machineId = BigInt(parseInt(macAddress.split(':').join(''), 16))
     }
-    machineId = machineId & this.maxMachineId
+    machineId = machineId & (BigInt(2) ** this.machineIdBits - BigInt(1))
 
     return machineId
   }
 
-  waitNextMillis() {
-    // Wait until next millisecond and return timestamp
-    let timestamp = BigInt(Date.now())
+  resolveTimestamp(claim) {
+    // Current timestamp, with the clock moving backwards handled according to the policy
+    let timestamp = this.currentTimestamp()
+    if (timestamp >= this.lastTimestamp) {
+      this.endClockBackwards(claim)
+      return timestamp
+    }
+
+    // Report each rollback once, when it is first detected
+    const lastTimestamp = new Date(Number(this.lastTimestamp * this.timeUnitMs + this.EPOCH))
+    const driftMs = lastTimestamp.getTime() - this.clock.now()
+    if (!claim.clockBackwards) {
+      claim.clockBackwards = true
+      const event = { driftMs, lastTimestamp, currentTimestamp: new Date(this.clock.now()), policy: this.clockBackwardsPolicy }
+      claim.effects.push(() => {
+        this.clockBackwards = true
+        this.stats.clockBackwardsCount++
+        if (this.onClockBackwards) {
+          this.onClockBackwards(event)
+        }
+        this.emit('clockBackwards', event)
+      })
+    }
+
+    // Keep issuing ids from the last timestamp until real time catches up
+    if (this.clockBackwardsPolicy === 'logical') {
+      return this.lastTimestamp
+    }
+
+    // Wait for the clock to catch up if the drift is within tolerance
+    if (this.clockBackwardsPolicy === 'wait' && driftMs <= this.clockBackwardsToleranceMs) {
+      const startMs = this.clock.now()
+      const deadline = startMs + this.clockBackwardsToleranceMs
+      while (timestamp < this.lastTimestamp && this.clock.now() <= deadline) {
+        this.clock.spin(Math.min(lastTimestamp.getTime(), deadline + 1))
+        timestamp = this.currentTimestamp()
+      }
+      const waitedMs = this.clock.now() - startMs
+      claim.effects.push(() => this.recordWait(waitedMs))
+      if (timestamp >= this.lastTimestamp) {
+        this.endClockBackwards(claim)
+        return timestamp
+      }
+    }
+    throw new ClockBackwardsError(driftMs, lastTimestamp)
+  }
+
+  endClockBackwards(claim) {
+    // Real time caught up with the last timestamp, the next rollback is reported again
+    if (claim.clockBackwards) {
+      claim.clockBackwards = false
+      claim.effects.push(() => {
+        this.clockBackwards = false
+      })
+    }
+  }
+
+  waitNextMillis(claim) {
+    claim.effects.push(() => this.exhaustSequence())
+
+    // Advance the logical clock instead of waiting while it is ahead of real time
+    if (this.clockBackwardsPolicy === 'logical' && claim.clockBackwards) {
+      return this.lastTimestamp + BigInt(1)
+    }
+
+    // Wait until next time unit and return timestamp
+    const startMs = this.clock.now()
+    const nextUnitAt = Number((this.lastTimestamp + BigInt(1)) * this.timeUnitMs + this.EPOCH)
+    let timestamp = this.currentTimestamp()
     while (timestamp <= this.lastTimestamp) {
-      timestamp = BigInt(Date.now())
+      this.clock.spin(nextUnitAt)
+      timestamp = this.currentTimestamp()
     }
+    const waitedMs = this.clock.now() - startMs
+    claim.effects.push(() => this.recordWait(waitedMs))
     return timestamp
   }
 
-  nextId() {
-    // Generate next unique id
-    let timestamp = BigInt(Date.now())
-    while (timestamp < this.lastTimestamp) {
-      timestamp = BigInt(Date.now())
+  claimSequence(count) {
+    // Claim up to count sequence numbers of a single time unit
+    return this.commitClaim(this.planClaim(count))
+  }
+
+  planClaim(count) {
+    // Plan a claim of sequence numbers without changing the generator, only waiting for the clock
+    // Events, stats and state saves are queued as effects, which run once the claim is committed
+    const resumeAt = this.getResumeAt()
+    if (resumeAt) {
+      throw new ClockBehindStateError(resumeAt)
     }
 
-    // Update sequence if timestamp is same as last timestamp
-    if (this.lastTimestamp === timestamp) {
-      this.sequence = (this.sequence + BigInt(1)) & this.maxSequence
-      if (this.sequence === BigInt(0)) {
-        timestamp = this.waitNextMillis()
+    const claim = { effects: [], clockBackwards: this.clockBackwards, block: null }
+    try {
+      let timestamp = this.resolveTimestamp(claim)
+      let firstSequence = BigInt(0)
+
+      // Continue the sequence if timestamp is same as last timestamp
+      if (this.lastTimestamp === timestamp) {
+        if (this.sequence === this.maxSequence) {
+          timestamp = this.waitNextMillis(claim)
+        } else {
+          firstSequence = this.sequence + BigInt(1)
+        }
       }
-    } else {
-      this.sequence = BigInt(0)
+
+      // Take as many sequence numbers as left in the time unit
+      const available = this.maxSequence - firstSequence + BigInt(1)
+      const lastSequence = firstSequence + (count < available ? count : available) - BigInt(1)
+      claim.block = { timestamp, firstSequence, lastSequence }
+    } catch (error) {
+      // A failed claim is final, so what happened until then is still reported
+      this.runEffects(claim)
+      throw error
     }
+    return claim
+  }
+
+  commitClaim(claim) {
+    // Apply a planned claim to the generator
+    this.runEffects(claim)
+    const { timestamp, lastSequence } = claim.block
+    this.persistTimestamp(timestamp)
     this.lastTimestamp = timestamp
+    this.sequence = lastSequence
+    return claim.block
+  }
 
-    // Generate unique id
-    const uniqueId =
-      ((timestamp - this.EPOCH) << (this.machineIdBits + this.sequenceBits)) |
-      (this.machineId << this.sequenceBits) |
-      this.sequence
-    return uniqueId.toString()
+  runEffects(claim) {
+    for (const effect of claim.effects) {
+      effect()
+    }
   }
 
-  getFirstIdAtTimestamp(timestamp) {
-    // Check if timestamp type is number or Date
-    if (typeof timestamp === 'number') {
-      timestamp = BigInt(timestamp)
-    } else if (timestamp instanceof Date) {
-      timestamp = BigInt(timestamp.getTime())
-    } else {
-      throw new Error('Timestamp must be a number or date instance')
+  resolveEncoding(options) {
+    // Encoding of a call, falling back to the generator encoding
+    if (options === null || options === undefined) {
+      return this.encoding
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new InvalidOptionError('Options must be an object')
     }
+    if (options.encoding === undefined) {
+      return this.encoding
+    }
+    assertEncoding(options.encoding)
+    return options.encoding
+  }
+
+  composeId(timestamp, sequence, node) {
+    // Generate unique id from its parts
+    return this.layoutVersionPrefix |
+      (timestamp << (this.machineIdBits + this.sequenceBits)) |
+      (node << this.nodeShift) |
+      (sequence << this.sequenceShift)
+  }
+
+  nextId(options) {
+    // Generate next unique id
+    const encoding = this.resolveEncoding(options)
+    const node = this.resolveNode(options)
+    const { timestamp, firstSequence } = this.claimSequence(BigInt(1))
+    this.recordIssued(timestamp, 1)
+    return encodeId(this.composeId(timestamp, firstSequence, node), encoding)
+  }
+
+  reserveBlocks(count) {
+    // Check if count is a positive integer
+    if (typeof count !== 'number' || !Number.isSafeInteger(count) || count <= 0) {
+      throw new InvalidArgumentError('Count must be a positive integer')
+    }
+
+    // Reserve whole sequence blocks per time unit until count ids are reserved
+    const blocks = []
+    let remaining = BigInt(count)
+    while (remaining > BigInt(0)) {
+      const block = this.claimSequence(remaining)
+      const claimed = block.lastSequence - block.firstSequence + BigInt(1)
+      this.recordIssued(block.timestamp, Number(claimed))
+      blocks.push(block)
+      remaining -= claimed
+    }
+    return blocks
+  }
+
+  * idsOfBlocks(blocks, node, encoding) {
+    // Iterate ids of reserved blocks in increasing order
+    for (const { timestamp, firstSequence, lastSequence } of blocks) {
+      const base = this.composeId(timestamp, BigInt(0), node)
+      for (let sequence = firstSequence; sequence <= lastSequence; sequence++) {
+        yield encodeId(base | (sequence << this.sequenceShift), encoding)
+      }
+    }
+  }
+
+  nextIds(count, options) {
+    // Generate count unique and strictly increasing ids
+    const encoding = this.resolveEncoding(options)
+    const node = this.resolveNode(options)
+    return Array.from(this.idsOfBlocks(this.reserveBlocks(count), node, encoding))
+  }
+
+  reserveRange(count, options) {
+    // Reserve count ids now, and produce them lazily
+    const encoding = this.resolveEncoding(options)
+    const node = this.resolveNode(options)
+    const blocks = this.reserveBlocks(count)
+    const first = blocks[0]
+    const last = blocks[blocks.length - 1]
+    return {
+      first: encodeId(this.composeId(first.timestamp, first.firstSequence, node), encoding),
+      last: encodeId(this.composeId(last.timestamp, last.lastSequence, node), encoding),
+      count,
+      [Symbol.iterator]: () => this.idsOfBlocks(blocks, node, encoding)
+    }
+  }
+
+  nextIdAsync(options) {
+    // Queue async requests so they are resolved in order
+    const id = this.asyncQueue.then(() => this.generateIdAsync(options))
+    this.asyncQueue = id.catch(() => {})
+    return id
+  }
+
+  async generateIdAsync(options) {
+    // Yield to the event loop until next time unit while the sequence is exhausted
+    if (this.sequence === this.maxSequence && this.currentTimestamp() === this.lastTimestamp) {
+      this.exhaustSequence()
+      const startMs = this.clock.now()
+      while (this.sequence === this.maxSequence && this.currentTimestamp() === this.lastTimestamp) {
+        const nextUnitAt = (this.lastTimestamp + BigInt(1)) * this.timeUnitMs + this.EPOCH
+        await this.clock.sleep(Math.max(Number(nextUnitAt) - this.clock.now(), 1))
+      }
+      this.recordWait(this.clock.now() - startMs)
+    }
+    return this.nextId(options)
+  }
+
+  getFirstIdAtTimestamp(timestamp, options) {
+    // Check if timestamp is an integer number of milliseconds or a valid Date
+    timestamp = BigInt(toMilliseconds(timestamp))
 
     // Check if timestamp is greater than or equal to EPOCH
     if (timestamp < this.EPOCH) {
-      throw new Error(`Timestamp must be greater than or equal to ${this.firstTimestamp.toISOString()}`)
+      throw new TimestampBeforeEpochError(this.firstTimestamp)
     }
     
-    // Generate id from timestamp
-    const id =
-      ((BigInt(timestamp) - this.EPOCH) << (this.machineIdBits + this.sequenceBits)) |
-      (BigInt(0) << this.sequenceBits) |
-      BigInt(0)
-    return id.toString()
+    // Generate id from timestamp, with the lowest node bits matching the field constraints
+    const id = this.composeId(this.toTimestampUnits(timestamp), BigInt(0), this.nodeBounds(options).min)
+    return encodeId(id, this.resolveEncoding(options))
   }
 
-  getLastIdAtTimestamp(timestamp) {
-    // Check if timestamp type is number or Date
-    if (typeof timestamp === 'number') {
-      timestamp = BigInt(timestamp)
-    } else if (timestamp instanceof Date) {
-      timestamp = BigInt(timestamp.getTime())
-    } else {
-      throw new Error('Timestamp must be a number or date instance')
-    }
+  getLastIdAtTimestamp(timestamp, options) {
+    // Check if timestamp is an integer number of milliseconds or a valid Date
+    timestamp = BigInt(toMilliseconds(timestamp))
 
     // Check if timestamp is greater than or equal to EPOCH
     if (timestamp < this.EPOCH) {
-      throw new Error(`Timestamp must be greater than or equal to ${this.firstTimestamp.toISOString()}`)
+      throw new TimestampBeforeEpochError(this.firstTimestamp)
     }
     
-    // Generate id from timestamp
-    const id =
-      ((BigInt(timestamp) - this.EPOCH) << (this.machineIdBits + this.sequenceBits)) |
-      (this.maxMachineId << this.sequenceBits) |
-      this.maxSequence
-    return id.toString()
-  }
-
-  parseId(id) {
-    // Parse id to get timestamp, machine id and sequence
-    const idBits = BigInt(id)
-    const sequence = idBits & this.maxSequence
-    const machineId = (idBits >> this.sequenceBits) & this.maxMachineId
-    const timestamp = (idBits >> (this.machineIdBits + this.sequenceBits)) + this.EPOCH
-    
-    // Return parsed object
-    return { 
-      timestamp: new Date(Number(timestamp)),
-      machineId: Number(machineId),
-      sequence: Number(sequence)
+    // Generate id from timestamp, with the highest node bits matching the field constraints
+    const id = this.composeId(this.toTimestampUnits(timestamp), this.maxSequence, this.nodeBounds(options).max)
+    return encodeId(id, this.resolveEncoding(options))
+  }
+
+  decode(id, options) {
+    // Decode id of any encoding to its bits
+    const encoding = this.resolveEncoding(options)
+    try {
+      if (options && options.strict && typeof id === 'string' && encoding === 'decimal' && !/^\d+$/.test(id)) {
+        throw new InvalidIdError('Decimal id must only contain digits')
+      }
+      return decodeId(id, encoding)
+    } catch (error) {
+      throw new InvalidIdError(`snowflakeId must be a valid ${encoding} id`, { cause: error })
+    }
+  }
+
+  parseId(id, options) {
+    const idBits = this.decode(id, options)
+
+    // Parse id to get timestamp, node fields and sequence
+    const sequence = (idBits >> this.sequenceShift) & this.maxSequence
+    const node = (idBits >> this.nodeShift) & this.maxMachineId
+    const timestampUnits = (idBits & this.layoutBitsMask) >> (this.machineIdBits + this.sequenceBits)
+    const timestamp = timestampUnits * this.timeUnitMs + this.EPOCH
+    const parsed = { timestamp: new Date(Number(timestamp)) }
+    for (const field of this.fields) {
+      parsed[field.name] = Number((node >> field.offset) & field.max)
+    }
+    parsed.sequence = Number(sequence)
+    if (this.layoutVersion !== null) {
+      parsed.layoutVersion = Number(idBits >> this.layoutVersionShift)
+    }
+
+    // Check sign bit, range and timestamp of the id in strict mode
+    if (options && options.strict) {
+      this.validateParsedId(idBits, parsed, options)
+    }
+    return parsed
+  }
+
+  validateParsedId(idBits, parsed, options) {
+    const { allowFuture, expectedMachineId, expectedFields, maxSkewMs } = options
+    const totalBits = this.timestampBits + this.machineIdBits + this.sequenceBits
+
+    // Check sign bit and 64-bit range
+    if (idBits < BigInt(0) || idBits >= BigInt(2) ** BigInt(64)) {
+      throw new InvalidIdError('snowflakeId must fit in 64 bits')
+    }
+    if (totalBits < BigInt(64) && idBits >= BigInt(2) ** BigInt(63)) {
+      throw new InvalidIdError('snowflakeId must not have the sign bit set')
+    }
+
+    // Check layout version of versioned layouts, and that the other bits fit in the layout
+    if (this.layoutVersion !== null && parsed.layoutVersion !== Number(this.layoutVersion)) {
+      throw new InvalidIdError(`snowflakeId has layout version ${parsed.layoutVersion}, expected ${this.layoutVersion}`)
+    }
+    if ((idBits & this.layoutBitsMask) >= BigInt(2) ** totalBits) {
+      throw new InvalidIdError(`snowflakeId must fit in the ${totalBits} bits of the layout`)
+    }
+
+    // Check timestamp is between EPOCH and now plus skew allowance
+    if (parsed.timestamp.getTime() < this.firstTimestamp.getTime()) {
+      throw new InvalidIdError(`snowflakeId timestamp must not be before ${this.firstTimestamp.toISOString()}`)
+    }
+    const skewMs = (maxSkewMs === null || maxSkewMs === undefined) ? 1000 : maxSkewMs
+    if (!allowFuture && parsed.timestamp.getTime() > this.clock.now() + skewMs) {
+      throw new InvalidIdError(`snowflakeId timestamp ${parsed.timestamp.toISOString()} is in the future`)
+    }
+
+    // Check machine id and other fields if expected
+    if (expectedMachineId !== null && expectedMachineId !== undefined && parsed.machineId !== expectedMachineId) {
+      throw new InvalidIdError(`snowflakeId machine id ${parsed.machineId} does not match expected machine id ${expectedMachineId}`)
     }
+    for (const name of Object.keys(expectedFields || {})) {
+      if (parsed[name] !== expectedFields[name]) {
+        throw new InvalidIdError(`snowflakeId field '${name}' ${parsed[name]} does not match expected value ${expectedFields[name]}`)
+      }
+    }
+  }
+
+  isValid(id, options) {
+    // Check id strictly without throwing
+    try {
+      this.parseId(id, Object.assign({}, options, { strict: true }))
+      return true
+    } catch (error) {
+      if (error instanceof InvalidIdError) {
+        return false
+      }
+      throw error
+    }
+  }
+
+  compare(a, b, options) {
+    // Compare ids by value, which orders them by generation time
+    const left = this.decode(a, options)
+    const right = this.decode(b, options)
+    return left < right ? -1 : (left > right ? 1 : 0)
+  }
+
+  sort(ids, options) {
+    // Sort a copy of ids in increasing order, decoding every id once
+    if (!Array.isArray(ids)) {
+      throw new InvalidArgumentError('Ids must be an array')
+    }
+    return ids
+      .map((id) => ({ id, bits: this.decode(id, options) }))
+      .sort((left, right) => left.bits < right.bits ? -1 : (left.bits > right.bits ? 1 : 0))
+      .map(({ id }) => id)
+  }
+
+  compareWith(id, other, options) {
+    // Compare an id with another id, or its timestamp with a number or Date timestamp
+    if (typeof other === 'number' || other instanceof Date) {
+      return Math.sign(this.parseId(id, options).timestamp.getTime() - toMilliseconds(other))
+    }
+    return this.compare(id, other, options)
+  }
+
+  timeRange(from, to, options) {
+    // Lowest and highest ids between two timestamps, of one machine id or of all of them
+    const { machineId, fields } = options || {}
+    const constraints = (machineId === null || machineId === undefined) ? fields : Object.assign({}, fields, { machineId })
+    const rangeOptions = Object.assign({}, options, { fields: constraints })
+    if (toMilliseconds(from) > toMilliseconds(to)) {
+      throw new InvalidArgumentError('From timestamp must not be after to timestamp')
+    }
+    const min = this.getFirstIdAtTimestamp(from, rangeOptions)
+    const max = this.getLastIdAtTimestamp(to, rangeOptions)
+    return { min, max }
+  }
+
+  bucketOf(id, granularity, options) {
+    // UTC hour or day of the id timestamp, e.g. 2025-01-01T13 or 2025-01-01
+    const length = BUCKET_KEY_LENGTHS[granularity]
+    if (length === undefined) {
+      throw new InvalidArgumentError(`Granularity must be one of ${Object.keys(BUCKET_KEY_LENGTHS).map((name) => `'${name}'`).join(', ')}`)
+    }
+    return this.parseId(id, options).timestamp.toISOString().slice(0, length)
+  }
+
+  ageOf(id, options) {
+    // Milliseconds elapsed since the id timestamp
+    return this.clock.now() - this.parseId(id, options).timestamp.getTime()
   }
 }
 
@@ -0,0 +1,72 @@
+// State stores persist a high-water timestamp of a generator
+// Every id is issued before the persisted high-water timestamp, so after a restart the generator
+// waits until the clock passes it and can not re-issue ids even if the host clock was reset
+
+const fs = require('fs')
+const path = require('path')
+const { threadId } = require('worker_threads')
+const { InvalidOptionError, InvalidStateError } = require('./errors')
+
+class StateStore {
+  // Read the persisted state { highWaterMs }, or null if nothing is persisted yet
+  load() {
+    throw new Error('load is not implemented')
+  }
+
+  // Persist the state { highWaterMs }
+  save(state) {
+    throw new Error('save is not implemented')
+  }
+}
+
+class FileStateStore extends StateStore {
+  constructor(options) {
+    super()
+    const { path: filePath } = options || {}
+    if (typeof filePath !== 'string' || filePath.length === 0) {
+      throw new InvalidOptionError('path must be a non-empty string')
+    }
+    this.path = filePath
+  }
+
+  load() {
+    let content
+    try {
+      content = fs.readFileSync(this.path, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+    let state
+    try {
+      state = JSON.parse(content)
+    } catch (error) {
+      throw new InvalidStateError(`State file ${this.path} can not be read as JSON`, { cause: error })
+    }
+    if (!state || typeof state !== 'object' || !Number.isFinite(state.highWaterMs)) {
+      throw new InvalidStateError(`State file ${this.path} must contain a numeric highWaterMs`)
+    }
+    return { highWaterMs: state.highWaterMs }
+  }
+
+  save(state) {
+    // Write to a temporary file of this thread, flush it and rename it over the state file atomically
+    fs.mkdirSync(path.dirname(this.path), { recursive: true })
+    const tempPath = `${this.path}.${process.pid}.${threadId}.tmp`
+    const fd = fs.openSync(tempPath, 'w')
+    try {
+      fs.writeSync(fd, JSON.stringify({ highWaterMs: state.highWaterMs }))
+      fs.fsyncSync(fd)
+    } finally {
+      fs.closeSync(fd)
+    }
+    fs.renameSync(tempPath, this.path)
+  }
+}
+
+module.exports = {
+  StateStore,
+  FileStateStore,
+}
@@ -0,0 +1,175 @@
+// Typed ids like usr_0ADcZ9lZ5tSq, built on the ids of a CustomSnowflakeId
+// The prefix names the entity type, the body is the id in fixed-width base62, so ids of a type sort by
+// generation time, and the last character is a Luhn mod 62 check character which catches a mistyped
+// character and most transpositions of adjacent characters
+
+const CustomSnowflakeId = require('./customSnowflake')
+const { encodeId, decodeId } = require('./encoding')
+const { InvalidOptionError, InvalidArgumentError, InvalidIdError } = require('./errors')
+
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+const SEPARATOR = '_'
+const BODY_LENGTH = 11
+const MAX_ID = BigInt(2) ** BigInt(64) - BigInt(1)
+
+function checkCharacter(body) {
+  // Luhn mod N: double every second digit from the right, summing the digits of the result in base N
+  const base = ALPHABET.length
+  let factor = 2
+  let sum = 0
+  for (let index = body.length - 1; index >= 0; index--) {
+    const addend = factor * ALPHABET.indexOf(body[index])
+    sum += Math.floor(addend / base) + (addend % base)
+    factor = factor === 2 ? 1 : 2
+  }
+  return ALPHABET[(base - (sum % base)) % base]
+}
+
+class TypedIdFactory {
+  /**
+   * Create typed ids of registered entity types
+   * @param {CustomSnowflakeId|object} generatorOrOptions - a CustomSnowflakeId, or options to create one (default: {})
+   * @param {object} options - optional, { types } entity types mapped to prefixes of lowercase letters and digits
+   * @throws {InvalidOptionError} If options of the CustomSnowflakeId or the types are not valid
+   * @example
+   * const { TypedIdFactory } = require('snowflakeid-producer')
+   * const ids = new TypedIdFactory({ MachineId: 5 }, { types: { user: 'usr', order: 'ord' } })
+   * const userId = ids.newId('user') // usr_0ADcZ9lZ5tSq
+   * const content = ids.parse(userId, 'user') // { type: 'user', timestamp, machineId: 5, sequence: 0 }
+   */
+  constructor(generatorOrOptions, options) {
+    this.snowflakeId = generatorOrOptions instanceof CustomSnowflakeId ? generatorOrOptions : new CustomSnowflakeId(generatorOrOptions)
+    this.prefixes = new Map()
+    this.types = new Map()
+    const { types } = options || {}
+    if (types !== undefined && (types === null || typeof types !== 'object' || Array.isArray(types))) {
+      throw new InvalidOptionError('types must be an object of entity types to prefixes')
+    }
+    for (const [ type, prefix ] of Object.entries(types || {})) {
+      this.register(type, prefix)
+    }
+  }
+
+  /**
+   * Register the prefix of an entity type
+   * @param {string} type - entity type, e.g. 'user'
+   * @param {string} prefix - lowercase letters and digits starting with a letter, e.g. 'usr'
+   * @returns {TypedIdFactory} the factory for chaining
+   * @throws {InvalidOptionError} If the prefix is not valid, or the type or prefix is registered already
+   */
+  register(type, prefix) {
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new InvalidOptionError('Entity type must be a non-empty string')
+    }
+    if (typeof prefix !== 'string' || !/^[a-z][a-z0-9]{0,15}$/.test(prefix)) {
+      throw new InvalidOptionError(`Prefix of '${type}' must be 1 to 16 lowercase letters and digits starting with a letter`)
+    }
+    if (this.prefixes.has(type)) {
+      throw new InvalidOptionError(`Entity type '${type}' is registered already`)
+    }
+    if (this.types.has(prefix)) {
+      throw new InvalidOptionError(`Prefix '${prefix}' is registered already for '${this.types.get(prefix)}'`)
+    }
+    this.prefixes.set(type, prefix)
+    this.types.set(prefix, type)
+    return this
+  }
+
+  prefixOf(type) {
+    const prefix = this.prefixes.get(type)
+    if (prefix === undefined) {
+      throw new InvalidArgumentError(`Entity type '${type}' is not registered`)
+    }
+    return prefix
+  }
+
+  format(type, id) {
+    const body = encodeId(id, 'base62')
+    return `${this.prefixOf(type)}${SEPARATOR}${body}${checkCharacter(body)}`
+  }
+
+  /**
+   * Generate a new typed id
+   * @param {string} type - registered entity type
+   * @param {object} options - optional, { fields } values of dynamic Schema fields
+   * @returns {string} typed id, e.g. usr_0ADcZ9lZ5tSq
+   * @throws {InvalidArgumentError} If the type is not registered
+   */
+  newId(type, options) {
+    this.prefixOf(type)
+    return this.format(type, this.snowflakeId.newId(Object.assign({}, options, { encoding: 'bigint' })))
+  }
+
+  /**
+   * Generate a new typed id without blocking the event loop
+   * @param {string} type - registered entity type
+   * @param {object} options - optional, { fields } values of dynamic Schema fields
+   * @returns {Promise<string>} typed id
+   * @throws {InvalidArgumentError} If the type is not registered (as a rejected promise)
+   */
+  async newIdAsync(type, options) {
+    this.prefixOf(type)
+    return this.format(type, await this.snowflakeId.newIdAsync(Object.assign({}, options, { encoding: 'bigint' })))
+  }
+
+  /**
+   * Parse a typed id and check its check character
+   * @param {string} typedId - typed id, e.g. usr_0ADcZ9lZ5tSq
+   * @param {string} expectedType - optional, entity type the id must have
+   * @param {object} options - optional, parseId options like { strict: true }
+   * @returns {object} parsed object containing type and the fields of parseId, e.g. { type, timestamp, machineId, sequence }
+   * @throws {InvalidIdError} If the id is malformed, its check character does not match, or its type is not expectedType
+   * @throws {InvalidArgumentError} If expectedType is not registered
+   */
+  parse(typedId, expectedType, options) {
+    const expectedPrefix = expectedType === undefined || expectedType === null ? null : this.prefixOf(expectedType)
+    if (typeof typedId !== 'string') {
+      throw new InvalidIdError('Typed id must be a string')
+    }
+    const separatorIndex = typedId.lastIndexOf(SEPARATOR)
+    const prefix = typedId.slice(0, separatorIndex)
+    const body = typedId.slice(separatorIndex + 1, -1)
+    if (separatorIndex <= 0 || body.length !== BODY_LENGTH) {
+      throw new InvalidIdError(`Typed id must be a prefix, '${SEPARATOR}' and ${BODY_LENGTH + 1} characters`)
+    }
+    if (!this.types.has(prefix)) {
+      throw new InvalidIdError(`Typed id has unknown prefix '${prefix}'`)
+    }
+    if (expectedPrefix !== null && prefix !== expectedPrefix) {
+      throw new InvalidIdError(`Expected a '${expectedType}' id with prefix '${expectedPrefix}${SEPARATOR}', got prefix '${prefix}${SEPARATOR}'`)
+    }
+    if ([ ...body ].some((char) => !ALPHABET.includes(char))) {
+      throw new InvalidIdError('Typed id must only contain base62 characters after the prefix')
+    }
+    if (checkCharacter(body) !== typedId[typedId.length - 1]) {
+      throw new InvalidIdError('Typed id has a wrong check character')
+    }
+    const id = decodeId(body, 'base62')
+    if (id > MAX_ID) {
+      throw new InvalidIdError('Typed id must encode 64 bits')
+    }
+    return Object.assign({ type: this.types.get(prefix) }, this.snowflakeId.parseId(id, options))
+  }
+
+  /**
+   * Check if a typed id is valid, with the strict checks of parseId
+   * @param {string} typedId - typed id
+   * @param {string} expectedType - optional, entity type the id must have
+   * @returns {boolean} true if the typed id is valid
+   */
+  isValid(typedId, expectedType) {
+    try {
+      this.parse(typedId, expectedType, { strict: true })
+      return true
+    } catch (error) {
+      if (error instanceof InvalidIdError) {
+        return false
+      }
+      throw error
+    }
+  }
+}
+
+module.exports = {
+  TypedIdFactory,
+}
@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { Readable } = require('stream')
+const { run } = require('../src/cli')
+
+async function runCli(argv, input) {
+  const output = { stdout: '', stderr: '' }
+  const io = {
+    stdin: Readable.from([ Buffer.from(input || '') ]),
+    stdout: { write: (chunk) => { output.stdout += chunk } },
+    stderr: { write: (chunk) => { output.stderr += chunk } },
+  }
+  const code = await run(argv, io)
+  return Object.assign({ code }, output)
+}
+
+test('generate prints one id per line', async () => {
+  const { code, stdout } = await runCli([ 'generate', '--count', '3', '--machine-id', '9' ])
+  assert.strictEqual(code, 0)
+  assert.strictEqual(stdout.trim().split('\n').length, 3)
+})
+
+test('parse decodes ids from arguments and stdin', async () => {
+  const { stdout: generated } = await runCli([ 'generate', '--machine-id', '9' ])
+  const id = generated.trim()
+
+  const table = await runCli([ 'parse', id ])
+  assert.strictEqual(table.code, 0)
+  assert.match(table.stdout, /^id\s+timestamp\s+machineId\s+sequence\n/)
+
+  const json = await runCli([ 'parse', '--format', 'json' ], `${id}\n`)
+  assert.strictEqual(json.code, 0)
+  assert.strictEqual(JSON.parse(json.stdout)[0].machineId, 9)
+})
+
+test('range prints the bounds of two dates', async () => {
+  const { code, stdout } = await runCli([ 'range', '--from', '2025-05-03', '--to', '2025-05-04', '--format', 'sql' ])
+  assert.strictEqual(code, 0)
+  assert.strictEqual(stdout, 'BETWEEN 176845278412800000 AND 177207666282594303\n')
+
+  const reversed = await runCli([ 'range', '--from', '2025-05-04', '--to', '2025-05-03' ])
+  assert.strictEqual(reversed.code, 1)
+  assert.strictEqual(reversed.stdout, '')
+  assert.match(reversed.stderr, /--from of range must not be after --to/)
+})
+
+test('usage errors exit with code 1', async () => {
+  const unknown = await runCli([ 'explode' ])
+  assert.strictEqual(unknown.code, 1)
+  assert.match(unknown.stderr, /Unknown command 'explode'/)
+
+  const invalid = await runCli([ 'generate', '--machine-id-bits', 'ten' ])
+  assert.strictEqual(invalid.code, 1)
+  assert.match(invalid.stderr, /--machine-id-bits must be a number/)
+})
@@ -0,0 +1,45 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { SystemClock, MonotonicClock, FakeClock, InvalidArgumentError } = require('..')
+
+test('SystemClock follows Date.now', () => {
+  const clock = new SystemClock()
+  const before = Date.now()
+  const now = clock.now()
+  assert.ok(now >= before && now <= Date.now())
+})
+
+test('MonotonicClock starts at wall clock time and never moves backwards', () => {
+  const clock = new MonotonicClock()
+  assert.ok(Math.abs(clock.now() - Date.now()) <= 5)
+  let last = clock.now()
+  for (let i = 0; i < 10000; i++) {
+    const now = clock.now()
+    assert.ok(now >= last)
+    last = now
+  }
+})
+
+test('MonotonicClock spins until the requested time', () => {
+  const clock = new MonotonicClock()
+  const target = clock.now() + 2
+  assert.ok(clock.spin(target) >= target)
+})
+
+test('FakeClock only moves when told to', () => {
+  const clock = new FakeClock({ now: new Date('2025-01-01T00:00:00.000Z') })
+  assert.strictEqual(clock.now(), Date.parse('2025-01-01T00:00:00.000Z'))
+  assert.strictEqual(clock.advance(5).now(), Date.parse('2025-01-01T00:00:00.005Z'))
+  assert.strictEqual(clock.advance(-10).now(), Date.parse('2024-12-31T23:59:59.995Z'))
+  assert.strictEqual(clock.set(1000).now(), 1000)
+  assert.throws(() => clock.set('now'), InvalidArgumentError)
+  assert.throws(() => clock.advance(NaN), InvalidArgumentError)
+})
+
+test('FakeClock waits and sleeps by advancing', async () => {
+  const clock = new FakeClock({ now: 1000 })
+  assert.strictEqual(clock.spin(1010), 1010)
+  assert.strictEqual(clock.spin(1005), 1010)
+  await clock.sleep(15)
+  assert.strictEqual(clock.now(), 1025)
+})
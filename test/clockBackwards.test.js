@@ -0,0 +1,61 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { ClockBackwardsError } = require('..')
+const { START, createGenerator } = require('./helpers')
+
+test('throw policy rejects ids after a rollback', () => {
+  const { clock, snowflakeId } = createGenerator({ ClockBackwardsPolicy: 'throw' })
+  snowflakeId.newId()
+  clock.advance(-3)
+  assert.throws(() => snowflakeId.newId(), (error) => error instanceof ClockBackwardsError && error.driftMs === 3)
+  clock.advance(3)
+  assert.ok(snowflakeId.newId())
+})
+
+test('wait policy waits out rollbacks within the tolerance', () => {
+  const { clock, snowflakeId } = createGenerator({ ClockBackwardsPolicy: 'wait', ClockBackwardsToleranceMs: 10 })
+  const first = snowflakeId.newId()
+  clock.advance(-8)
+  const second = snowflakeId.newId()
+  assert.ok(BigInt(second) > BigInt(first))
+  assert.strictEqual(clock.now(), START.getTime())
+  assert.strictEqual(snowflakeId.getStats().waitCount, 1)
+
+  clock.advance(-11)
+  assert.throws(() => snowflakeId.newId(), ClockBackwardsError)
+})
+
+test('wait policy waits out rollbacks of any length by default', () => {
+  const { clock, snowflakeId } = createGenerator()
+  const first = snowflakeId.newId()
+  clock.advance(-60 * 1000)
+  const second = snowflakeId.newId()
+  assert.ok(BigInt(second) > BigInt(first))
+  assert.strictEqual(clock.now(), START.getTime())
+  assert.strictEqual(snowflakeId.getStats().waitCount, 1)
+})
+
+test('logical policy keeps ids increasing until real time catches up', () => {
+  const { clock, snowflakeId } = createGenerator({ ClockBackwardsPolicy: 'logical', MachineIdBits: 10, SequenceBits: 1 })
+  const first = snowflakeId.newId()
+  clock.advance(-1000)
+  const ids = snowflakeId.newIds(6)
+  assert.ok(BigInt(ids[0]) > BigInt(first))
+  assert.strictEqual(snowflakeId.parseId(ids[5]).timestamp.getTime(), START.getTime() + 3)
+  assert.strictEqual(clock.now(), START.getTime() - 1000)
+})
+
+test('rollbacks are reported once through the callback and the event', () => {
+  const reports = []
+  const { clock, snowflakeId } = createGenerator({
+    ClockBackwardsPolicy: 'logical',
+    OnClockBackwards: (event) => reports.push([ 'callback', event.driftMs ]),
+  })
+  snowflakeId.on('clockBackwards', (event) => reports.push([ 'event', event.driftMs, event.policy, event.currentTimestamp.getTime() ]))
+  snowflakeId.newId()
+  clock.advance(-50)
+  snowflakeId.newId()
+  snowflakeId.newId()
+  assert.deepStrictEqual(reports, [ [ 'callback', 50 ], [ 'event', 50, 'logical', START.getTime() - 50 ] ])
+  assert.strictEqual(snowflakeId.getStats().clockBackwardsCount, 1)
+})
@@ -0,0 +1,61 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const cluster = require('cluster')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { ClusterMachineIdAllocator, InvalidOptionError } = require('..')
+
+test('workers give up when the primary process does not answer', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snowflakeid-'))
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }))
+  const workerPath = path.join(directory, 'worker.js')
+  fs.writeFileSync(workerPath, `
+    const { CustomSnowflakeId, ClusterMachineIdAllocator } = require(${JSON.stringify(path.join(__dirname, '..'))})
+    new CustomSnowflakeId({ MachineIdAllocator: new ClusterMachineIdAllocator({ requestTimeoutMs: 100 }) }).ready()
+      .then(() => process.send({ code: null }), (error) => process.send({ code: error.code, message: error.message }))
+      .then(() => process.disconnect())
+  `)
+
+  // setupPrimary of the allocator is not called, so nothing answers the worker
+  cluster.setupPrimary({ exec: workerPath })
+  const worker = cluster.fork()
+  const reply = await new Promise((resolve) => worker.on('message', (message) => {
+    if ('code' in message) resolve(message)
+  }))
+  assert.strictEqual(reply.code, 'ERR_MACHINE_ID_UNAVAILABLE')
+  assert.match(reply.message, /did not answer within 100 ms/)
+})
+
+test('primary process hands distinct machine ids to workers until they run out', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snowflakeid-'))
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }))
+  const workerPath = path.join(directory, 'worker.js')
+  fs.writeFileSync(workerPath, `
+    const { CustomSnowflakeId, ClusterMachineIdAllocator } = require(${JSON.stringify(path.join(__dirname, '..'))})
+    const snowflakeId = new CustomSnowflakeId({ MachineIdAllocator: new ClusterMachineIdAllocator({ ttlMs: 60000 }) })
+    snowflakeId.ready()
+      .then(() => process.send({ code: null, machineId: snowflakeId.parseId(snowflakeId.newId()).machineId }), (error) => process.send({ code: error.code }))
+    process.on('message', (message) => {
+      if (message === 'stop') snowflakeId.close().catch(() => {}).then(() => process.disconnect())
+    })
+  `)
+
+  // Workers keep their machine ids until all of them answered, as ids of exited workers are released
+  ClusterMachineIdAllocator.setupPrimary({ firstMachineId: 10, lastMachineId: 12 })
+  cluster.setupPrimary({ exec: workerPath })
+  const workers = [ 0, 1, 2, 3 ].map(() => cluster.fork())
+  const replies = await Promise.all(workers.map((worker) => new Promise((resolve) => worker.on('message', (message) => {
+    if ('code' in message) resolve(message)
+  }))))
+  await Promise.all(workers.map((worker) => new Promise((resolve) => {
+    worker.once('exit', resolve)
+    worker.send('stop')
+  })))
+  assert.deepStrictEqual(replies.filter((reply) => reply.code === null).map((reply) => reply.machineId).sort(), [ 10, 11, 12 ])
+  assert.deepStrictEqual(replies.filter((reply) => reply.code !== null).map((reply) => reply.code), [ 'ERR_MACHINE_ID_UNAVAILABLE' ])
+})
+
+test('rejects invalid request timeouts', () => {
+  assert.throws(() => new ClusterMachineIdAllocator({ requestTimeoutMs: 0 }), InvalidOptionError)
+})
@@ -0,0 +1,89 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFileSync } = require('child_process')
+const { SnowflakeId, ClusterMachineIdAllocator, AlreadyInitializedError, InvalidOptionError, machineIdFromHostname } = require('..')
+const { loadEnvOptions } = require('../src/config')
+const { START, createClock } = require('./helpers')
+
+test('environment variables map to CustomSnowflakeId options', () => {
+  assert.deepStrictEqual(loadEnvOptions({
+    SNOWFLAKE_MACHINE_ID: '7',
+    SNOWFLAKE_MACHINE_BITS: '8',
+    SNOWFLAKE_SEQUENCE_BITS: '14',
+    SNOWFLAKE_EPOCH: '2025-01-01T00:00:00.000Z',
+    SNOWFLAKE_ENCODING: 'base62',
+    SNOWFLAKE_CLOCK_BACKWARDS_POLICY: 'logical',
+  }), {
+    MachineId: 7,
+    MachineIdBits: 8,
+    SequenceBits: 14,
+    FirstTimestamp: new Date('2025-01-01T00:00:00.000Z'),
+    Encoding: 'base62',
+    ClockBackwardsPolicy: 'logical',
+  })
+  assert.deepStrictEqual(loadEnvOptions({}), {})
+  assert.throws(() => loadEnvOptions({ SNOWFLAKE_MACHINE_ID: 'five' }), /SNOWFLAKE_MACHINE_ID must be a non-negative integer/)
+  assert.throws(() => loadEnvOptions({ SNOWFLAKE_EPOCH: 'yesterday' }), InvalidOptionError)
+})
+
+test('variables override the config file', () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'snowflakeid-')), 'snowflake.json')
+  fs.writeFileSync(filePath, JSON.stringify({ MachineId: 1, SequenceBits: 10, FirstTimestamp: '2025-01-01T00:00:00.000Z' }))
+  try {
+    assert.deepStrictEqual(loadEnvOptions({ SNOWFLAKE_CONFIG: filePath, SNOWFLAKE_MACHINE_ID: '2' }), {
+      MachineId: 2, SequenceBits: 10, FirstTimestamp: new Date('2025-01-01T00:00:00.000Z'),
+    })
+    fs.writeFileSync(filePath, '[ 1 ]')
+    assert.throws(() => loadEnvOptions({ SNOWFLAKE_CONFIG: filePath }), InvalidOptionError)
+  } finally {
+    fs.rmSync(path.dirname(filePath), { recursive: true })
+  }
+  assert.throws(() => loadEnvOptions({ SNOWFLAKE_CONFIG: '/nonexistent/snowflake.json' }), /can not be read/)
+})
+
+test('machine id is derived from the pod ordinal of the hostname', () => {
+  assert.strictEqual(machineIdFromHostname('api-3'), 3)
+  assert.strictEqual(machineIdFromHostname('orders-worker-12'), 12)
+  assert.strictEqual(loadEnvOptions({ SNOWFLAKE_MACHINE_ID: 'hostname', HOSTNAME: 'api-4' }).MachineId, 4)
+  assert.throws(() => machineIdFromHostname('api'), InvalidOptionError)
+})
+
+test('machine id of cluster workers is leased from the primary process', () => {
+  const options = loadEnvOptions({ SNOWFLAKE_MACHINE_ID: 'cluster' })
+  assert.strictEqual(options.MachineId, undefined)
+  assert.ok(options.MachineIdAllocator instanceof ClusterMachineIdAllocator)
+})
+
+test('default generator reads the environment on first use', () => {
+  const script = 'const { SnowflakeId } = require(".");console.log(SnowflakeId.parseId(SnowflakeId.newId()).machineId)'
+  const env = Object.assign({}, process.env, { SNOWFLAKE_MACHINE_ID: 'hostname', HOSTNAME: 'api-9' })
+  const output = execFileSync(process.execPath, [ '-e', script ], { cwd: path.join(__dirname, '..'), env, encoding: 'utf8' })
+  assert.strictEqual(output.trim(), '9')
+})
+
+test('configure closes the default generator created on first use', () => {
+  const script = `
+    const { SnowflakeId, ClusterMachineIdAllocator } = require('.')
+    SnowflakeId.ready()
+      .then(() => SnowflakeId.configure({ MachineIdAllocator: new ClusterMachineIdAllocator() }))
+      .then(() => new ClusterMachineIdAllocator().acquire(0))
+      .then((lease) => console.log(SnowflakeId.getStats().machineId, lease.machineId))
+  `
+  const env = Object.assign({}, process.env, { SNOWFLAKE_MACHINE_ID: 'cluster' })
+  const output = execFileSync(process.execPath, [ '-e', script ], { cwd: path.join(__dirname, '..'), env, encoding: 'utf8', timeout: 10000 })
+  assert.strictEqual(output.trim(), '1 0')
+})
+
+test('configure replaces the default generator once, before ids are issued', async () => {
+  const events = []
+  SnowflakeId.on('sequenceExhausted', (payload) => events.push(payload))
+  const clock = createClock()
+  assert.strictEqual(await SnowflakeId.configure({ MachineId: 21, SequenceBits: 2, Clock: clock }), SnowflakeId)
+  SnowflakeId.newIds(5)
+  assert.strictEqual(SnowflakeId.parseId(SnowflakeId.newId()).machineId, 21)
+  assert.deepStrictEqual(events, [ { timestamp: START, maxSequence: 3 } ])
+  assert.throws(() => SnowflakeId.configure({ MachineId: 22 }), AlreadyInitializedError)
+})
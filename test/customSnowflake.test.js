@@ -0,0 +1,87 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { CustomSnowflakeId, InvalidOptionError, InvalidArgumentError } = require('..')
+const { START, createClock, createGenerator } = require('./helpers')
+
+test('rejects invalid options', () => {
+  assert.throws(() => new CustomSnowflakeId({ Unknown: 1 }), InvalidOptionError)
+  assert.throws(() => new CustomSnowflakeId({ MachineIdBits: 30, SequenceBits: 30 }), InvalidOptionError)
+  assert.throws(() => new CustomSnowflakeId({ MachineIdBits: 4, MachineId: 16 }), InvalidOptionError)
+  assert.throws(() => new CustomSnowflakeId({ Clock: { now: () => 0 } }), InvalidOptionError)
+  assert.throws(() => new CustomSnowflakeId({ Encoding: 'base64' }), InvalidOptionError)
+  assert.throws(() => new CustomSnowflakeId({ Schema: [ { name: 'sequence', bits: 4 } ] }), InvalidOptionError)
+  assert.throws(() => new CustomSnowflakeId({ Schema: [ { name: 'layoutVersion', bits: 4 } ] }), /other than 'timestamp', 'sequence' and 'layoutVersion'/)
+})
+
+test('rejects non-integer numbers with a code instead of a RangeError', () => {
+  for (const options of [ { MachineId: 1.5 }, { MachineId: NaN }, { MachineIdBits: 1.5 }, { SequenceBits: 1.5 }, { FirstTimestamp: new Date('x') } ]) {
+    assert.throws(() => new CustomSnowflakeId(options), InvalidOptionError)
+  }
+  const { snowflakeId } = createGenerator()
+  assert.throws(() => snowflakeId.getFirstIdAt(1735689600000.5), InvalidArgumentError)
+  assert.throws(() => snowflakeId.getLastIdAt(new Date('x')), InvalidArgumentError)
+  assert.throws(() => snowflakeId.getFirstIdAt(Infinity), InvalidArgumentError)
+})
+
+test('FirstTimestamp is checked against the clock', () => {
+  const clock = createClock()
+  assert.throws(() => new CustomSnowflakeId({ Clock: clock, FirstTimestamp: new Date('2025-06-01T00:00:00.000Z') }), InvalidOptionError)
+  assert.ok(new CustomSnowflakeId({ Clock: clock, FirstTimestamp: new Date('2024-06-01T00:00:00.000Z') }))
+})
+
+test('expired layouts are rejected with their lifetime', () => {
+  const clock = createClock()
+  assert.throws(
+    () => new CustomSnowflakeId({ Clock: clock, TimestampBits: 30, FirstTimestamp: new Date('2024-01-01T00:00:00.000Z') }),
+    /lifetime of 12\.4 days/
+  )
+})
+
+test('layout describes bits, time unit and expiry', () => {
+  const clock = createClock()
+  const snowflakeId = new CustomSnowflakeId({ Clock: clock, TimestampBits: 39, TimeUnitMs: 10, MachineIdBits: 16, SequenceBits: 8, MachineId: 1 })
+  const layout = snowflakeId.getLayout()
+  assert.strictEqual(layout.lifetimeMs, 5497558138880)
+  assert.strictEqual(layout.expiresAt.toISOString(), '2198-03-18T03:28:58.880Z')
+  assert.strictEqual(snowflakeId.parseId(snowflakeId.newId()).timestamp.getTime(), START.getTime())
+})
+
+test('schema fields are composed and parsed by name', () => {
+  const clock = createClock()
+  const snowflakeId = new CustomSnowflakeId({
+    Clock: clock,
+    Schema: [ { name: 'region', bits: 3, value: 5 }, { name: 'shard', bits: 7 } ],
+  })
+  const id = snowflakeId.newId({ fields: { shard: 99 } })
+  assert.deepStrictEqual(snowflakeId.parseId(id), { timestamp: START, region: 5, shard: 99, sequence: 0 })
+  assert.throws(() => snowflakeId.newId(), InvalidArgumentError)
+  assert.ok(BigInt(snowflakeId.getFirstIdAt(START, { fields: { shard: 99 } })) <= BigInt(id))
+})
+
+test('emits sequenceExhausted and epochNearExhaustion', () => {
+  const clock = createClock()
+  const snowflakeId = new CustomSnowflakeId({
+    Clock: clock,
+    MachineId: 1,
+    MachineIdBits: 10,
+    SequenceBits: 1,
+    EpochWarningMs: 200 * 365 * 24 * 60 * 60 * 1000,
+  })
+  const events = []
+  snowflakeId.on('sequenceExhausted', ({ timestamp }) => events.push([ 'sequenceExhausted', timestamp.getTime() - START.getTime() ]))
+  snowflakeId.on('epochNearExhaustion', ({ expiresAt }) => events.push([ 'epochNearExhaustion', expiresAt.toISOString() ]))
+  snowflakeId.newIds(3)
+  assert.deepStrictEqual(events, [
+    [ 'epochNearExhaustion', '2093-09-06T15:47:35.552Z' ],
+    [ 'sequenceExhausted', 0 ],
+  ])
+})
+
+test('stats report the remaining lifetime from the clock', () => {
+  const clock = createClock()
+  const snowflakeId = new CustomSnowflakeId({ Clock: clock, MachineId: 7 })
+  const stats = snowflakeId.getStats()
+  assert.strictEqual(stats.machineId, 7)
+  assert.strictEqual(stats.idsIssued, 0)
+  assert.strictEqual(stats.remainingLifetimeMs, stats.layout.expiresAt.getTime() - START.getTime())
+})
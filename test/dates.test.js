@@ -0,0 +1,19 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { InvalidArgumentError } = require('..')
+const { parseDate, toMilliseconds } = require('../src/dates')
+
+test('dates are parsed of ISO strings and milliseconds timestamps', () => {
+  assert.deepStrictEqual(parseDate('2025-01-01T00:00:00.000Z'), new Date('2025-01-01T00:00:00.000Z'))
+  assert.deepStrictEqual(parseDate('1735689600000'), new Date('2025-01-01T00:00:00.000Z'))
+  assert.strictEqual(parseDate('yesterday'), null)
+  assert.strictEqual(parseDate(''), null)
+})
+
+test('timestamps are integer numbers of milliseconds or valid dates', () => {
+  assert.strictEqual(toMilliseconds(1735689600000), 1735689600000)
+  assert.strictEqual(toMilliseconds(new Date('2025-01-01T00:00:00.000Z')), 1735689600000)
+  assert.throws(() => toMilliseconds(1735689600000.5), InvalidArgumentError)
+  assert.throws(() => toMilliseconds(new Date('x')), InvalidArgumentError)
+  assert.throws(() => toMilliseconds('1735689600000'), InvalidArgumentError)
+})
@@ -0,0 +1,23 @@
+// Fixtures shared by the tests
+
+const { CustomSnowflakeId, FakeClock } = require('..')
+
+const START = new Date('2025-01-01T00:00:00.000Z')
+
+function createClock(now) {
+  // FakeClock which starts at START unless now is given
+  return new FakeClock({ now: now === undefined ? START : now })
+}
+
+function createGenerator(options, now) {
+  // Generator of machine id 1 driven by a FakeClock
+  const clock = createClock(now)
+  const snowflakeId = new CustomSnowflakeId(Object.assign({ MachineId: 1, Clock: clock }, options))
+  return { clock, snowflakeId }
+}
+
+module.exports = {
+  START,
+  createClock,
+  createGenerator,
+}
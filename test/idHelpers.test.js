@@ -0,0 +1,59 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { InvalidArgumentError, InvalidIdError } = require('..')
+const helpers = require('./helpers')
+
+function createGenerator(options) {
+  return helpers.createGenerator(Object.assign({ MachineId: 5 }, options), new Date('2025-01-01T13:30:00.000Z'))
+}
+
+test('compare and sort order decimal ids of different lengths by value', () => {
+  const { snowflakeId } = createGenerator()
+  assert.strictEqual(snowflakeId.compare('999999999999999999', '1000000000000000000'), -1)
+  assert.strictEqual(snowflakeId.compare('1000000000000000000', '999999999999999999'), 1)
+  assert.strictEqual(snowflakeId.compare('42', BigInt(42)), 0)
+  const ids = [ '1000000000000000000', BigInt(7), '999999999999999999' ]
+  assert.deepStrictEqual(snowflakeId.sort(ids), [ BigInt(7), '999999999999999999', '1000000000000000000' ])
+  assert.deepStrictEqual(ids, [ '1000000000000000000', BigInt(7), '999999999999999999' ])
+  assert.deepStrictEqual(snowflakeId.sort([ '00000000000000ff', '000000000000000a' ], { encoding: 'hex' }), [ '000000000000000a', '00000000000000ff' ])
+  assert.throws(() => snowflakeId.sort('1'), InvalidArgumentError)
+  assert.throws(() => snowflakeId.compare('1', 'x'), InvalidIdError)
+})
+
+test('timeRange bounds ids between two timestamps', () => {
+  const { clock, snowflakeId } = createGenerator()
+  const inside = snowflakeId.newId()
+  clock.advance(24 * 60 * 60 * 1000)
+  const outside = snowflakeId.newId()
+  const { min, max } = snowflakeId.timeRange(new Date('2025-01-01T00:00:00.000Z'), new Date('2025-01-01T23:59:59.999Z'))
+  assert.ok(BigInt(min) <= BigInt(inside) && BigInt(inside) <= BigInt(max))
+  assert.ok(BigInt(outside) > BigInt(max))
+  assert.strictEqual(snowflakeId.parseId(min).timestamp.toISOString(), '2025-01-01T00:00:00.000Z')
+  assert.deepStrictEqual(snowflakeId.parseId(max), { timestamp: new Date('2025-01-01T23:59:59.999Z'), machineId: 1023, sequence: 4095 })
+  assert.throws(() => snowflakeId.timeRange(new Date('2025-01-02T00:00:00.000Z'), new Date('2025-01-01T00:00:00.000Z')), InvalidArgumentError)
+  assert.throws(() => snowflakeId.timeRange(new Date('2025-01-02T00:00:00.000Z'), new Date('2023-01-01T00:00:00.000Z')), /From timestamp must not be after to timestamp/)
+})
+
+test('timeRange limited to one machine', () => {
+  const { snowflakeId } = createGenerator()
+  const { min, max } = snowflakeId.timeRange(1735689600000, 1735775999999, { machineId: 5, encoding: 'bigint' })
+  assert.strictEqual(snowflakeId.parseId(min).machineId, 5)
+  assert.deepStrictEqual(snowflakeId.parseId(max), { timestamp: new Date('2025-01-01T23:59:59.999Z'), machineId: 5, sequence: 4095 })
+  assert.throws(() => snowflakeId.timeRange(1735689600000, 1735775999999, { machineId: 1024 }), InvalidArgumentError)
+})
+
+test('bucketOf, ageOf, isBefore and isAfter read the id timestamp', () => {
+  const { clock, snowflakeId } = createGenerator()
+  const first = snowflakeId.newId()
+  clock.advance(90 * 60 * 1000)
+  const second = snowflakeId.newId()
+  assert.strictEqual(snowflakeId.bucketOf(first, 'hour'), '2025-01-01T13')
+  assert.strictEqual(snowflakeId.bucketOf(second, 'hour'), '2025-01-01T15')
+  assert.strictEqual(snowflakeId.bucketOf(second, 'day'), '2025-01-01')
+  assert.throws(() => snowflakeId.bucketOf(first, 'week'), InvalidArgumentError)
+  assert.strictEqual(snowflakeId.ageOf(first), 90 * 60 * 1000)
+  assert.strictEqual(snowflakeId.isBefore(first, second), true)
+  assert.strictEqual(snowflakeId.isAfter(first, second), false)
+  assert.strictEqual(snowflakeId.isAfter(second, new Date('2025-01-01T14:00:00.000Z')), true)
+  assert.strictEqual(snowflakeId.isBefore(second, Date.parse('2025-01-01T15:00:00.000Z')), false)
+})
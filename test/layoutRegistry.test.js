@@ -0,0 +1,80 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { CustomSnowflakeId, LayoutRegistry, InvalidIdError, InvalidOptionError } = require('..')
+const { createClock } = require('./helpers')
+
+function createLayouts() {
+  const clock = createClock(new Date('2026-03-01T00:00:00.000Z'))
+  const legacy = new CustomSnowflakeId({ MachineId: 5, Clock: clock })
+  const current = new CustomSnowflakeId({
+    LayoutVersion: 1, TimestampBits: 39, TimeUnitMs: 10, MachineId: 7, Clock: clock, FirstTimestamp: new Date('2026-01-01T00:00:00.000Z'),
+  })
+  return { clock, legacy, current }
+}
+
+test('versioned layouts embed their version below the sign bit', () => {
+  const { legacy, current } = createLayouts()
+  const id = current.newId()
+  assert.strictEqual(BigInt(id) >> BigInt(61), BigInt(1))
+  assert.ok(BigInt(id) > BigInt(legacy.newId()))
+  assert.deepStrictEqual(current.parseId(id, { strict: true }), { timestamp: new Date('2026-03-01T00:00:00.000Z'), machineId: 7, sequence: 0, layoutVersion: 1 })
+  assert.strictEqual(current.getLayout().layoutVersion, 1)
+  assert.strictEqual(legacy.getLayout().layoutVersion, null)
+  assert.strictEqual(current.isValid(legacy.newId()), false)
+  assert.strictEqual(current.parseId(current.getLastIdAt(new Date('2026-03-01T00:00:00.000Z'))).layoutVersion, 1)
+})
+
+test('registry parses ids of every registered layout', () => {
+  const { legacy, current } = createLayouts()
+  const registry = new LayoutRegistry({ layouts: [ legacy, current ] })
+  const legacyId = legacy.newId()
+  const currentId = current.newId()
+  assert.deepStrictEqual(registry.parseId(legacyId), { layoutVersion: 0, timestamp: new Date('2026-03-01T00:00:00.000Z'), machineId: 5, sequence: 0 })
+  assert.deepStrictEqual(registry.parseId(BigInt(currentId), { strict: true }), { layoutVersion: 1, timestamp: new Date('2026-03-01T00:00:00.000Z'), machineId: 7, sequence: 0 })
+  assert.strictEqual(registry.layoutOf(legacyId), legacy)
+  assert.strictEqual(registry.layoutOf(currentId), current)
+  assert.throws(() => registry.parseId((BigInt(3) << BigInt(61)).toString()), /unregistered layout version 3/)
+  assert.throws(() => registry.parseId('x'), InvalidIdError)
+})
+
+test('translateRange returns id bounds of each overlapping layout', () => {
+  const { clock, legacy, current } = createLayouts()
+  const registry = new LayoutRegistry({ layouts: [ current, legacy ] })
+  const legacyId = legacy.newId()
+  clock.advance(60 * 1000)
+  const currentId = current.newId()
+  const ranges = registry.translateRange(new Date('2025-12-01T00:00:00.000Z'), new Date('2026-03-02T00:00:00.000Z'))
+  assert.deepStrictEqual(ranges.map(({ layoutVersion }) => layoutVersion), [ 0, 1 ])
+  assert.ok(BigInt(ranges[0].min) <= BigInt(legacyId) && BigInt(legacyId) <= BigInt(ranges[0].max))
+  assert.ok(BigInt(ranges[1].min) <= BigInt(currentId) && BigInt(currentId) <= BigInt(ranges[1].max))
+  assert.strictEqual(current.parseId(ranges[1].min).timestamp.toISOString(), '2026-01-01T00:00:00.000Z')
+
+  const before = registry.translateRange(new Date('2025-12-01T00:00:00.000Z'), new Date('2025-12-02T00:00:00.000Z'), { machineId: 5 })
+  assert.deepStrictEqual(before.map(({ layoutVersion }) => layoutVersion), [ 0 ])
+  assert.strictEqual(legacy.parseId(before[0].max).machineId, 5)
+})
+
+test('translateRange clamps unversioned layouts to the overflow into the version bits', () => {
+  const { legacy, current } = createLayouts()
+  const registry = new LayoutRegistry({ layouts: [ legacy, current ] })
+  const overflowMs = new Date('2024-01-01T00:00:00.000Z').getTime() + 2 ** 39
+  const ranges = registry.translateRange(new Date('2041-01-01T00:00:00.000Z'), new Date('2045-01-01T00:00:00.000Z'))
+  assert.deepStrictEqual(ranges.map(({ layoutVersion }) => layoutVersion), [ 0, 1 ])
+  assert.strictEqual(ranges[0].max, ((BigInt(1) << BigInt(61)) - BigInt(1)).toString())
+  assert.strictEqual(legacy.parseId(ranges[0].max).timestamp.getTime(), overflowMs - 1)
+  const after = registry.translateRange(overflowMs, overflowMs + 1000)
+  assert.deepStrictEqual(after.map(({ layoutVersion }) => layoutVersion), [ 1 ])
+  assert.deepStrictEqual(new LayoutRegistry({ layouts: [ legacy ] }).translateRange(overflowMs, overflowMs).map(({ layoutVersion }) => layoutVersion), [ 0 ])
+})
+
+test('rejects invalid layout versions', () => {
+  const { legacy, current } = createLayouts()
+  assert.throws(() => new CustomSnowflakeId({ LayoutVersion: 1 }), /must not exceed 61/)
+  assert.throws(() => new CustomSnowflakeId({ LayoutVersion: 4, TimestampBits: 39 }), InvalidOptionError)
+  assert.throws(() => new CustomSnowflakeId({ LayoutVersionBits: 3 }), /requires LayoutVersion/)
+  assert.throws(() => new CustomSnowflakeId({ LayoutVersion: 1, UseSignBit: true, TimestampBits: 39 }), InvalidOptionError)
+  assert.throws(() => new LayoutRegistry({ layouts: [ legacy, legacy ] }), /version 0 is registered already/)
+  const other = new CustomSnowflakeId({ LayoutVersion: 2, LayoutVersionBits: 3, TimestampBits: 38, MachineId: 1 })
+  assert.throws(() => new LayoutRegistry({ layouts: [ current, other ] }), /LayoutVersionBits of all layouts must be 2/)
+  assert.throws(() => new LayoutRegistry().parseId('1'), InvalidOptionError)
+})
@@ -0,0 +1,103 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  CustomSnowflakeId,
+  MemoryMachineIdAllocator,
+  FileMachineIdAllocator,
+  MachineIdUnavailableError,
+  LeaseLostError,
+  NotInitializedError,
+} = require('..')
+const { START, createClock } = require('./helpers')
+
+test('memory allocator leases distinct machine ids until they run out', async () => {
+  const allocator = new MemoryMachineIdAllocator({ ttlMs: 1000 })
+  const leases = await Promise.all([ 0, 1, 2, 3 ].map(() => allocator.acquire(3)))
+  assert.deepStrictEqual(leases.map((lease) => lease.machineId).sort(), [ 0, 1, 2, 3 ])
+  await assert.rejects(allocator.acquire(3), MachineIdUnavailableError)
+  await allocator.release(leases[2])
+  assert.strictEqual((await allocator.acquire(3)).machineId, leases[2].machineId)
+})
+
+test('file allocator leases distinct machine ids across instances', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snowflakeid-'))
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }))
+  const first = new FileMachineIdAllocator({ directory, ttlMs: 1000 })
+  const second = new FileMachineIdAllocator({ directory, ttlMs: 1000 })
+  const leaseA = await first.acquire(1)
+  const leaseB = await second.acquire(1)
+  assert.notStrictEqual(leaseA.machineId, leaseB.machineId)
+  await assert.rejects(first.acquire(1), MachineIdUnavailableError)
+
+  const renewed = await first.renew(leaseA)
+  assert.ok(renewed.expiresAt.getTime() >= leaseA.expiresAt.getTime())
+  await second.release(leaseB)
+  assert.strictEqual((await first.acquire(1)).machineId, leaseB.machineId)
+})
+
+test('generator issues ids only while it holds a lease', async () => {
+  const allocator = new MemoryMachineIdAllocator({ ttlMs: 1000 })
+  const snowflakeId = new CustomSnowflakeId({ MachineIdAllocator: allocator })
+  assert.throws(() => snowflakeId.newId(), NotInitializedError)
+  await snowflakeId.ready()
+  const machineId = snowflakeId.parseId(snowflakeId.newId()).machineId
+  assert.strictEqual(machineId, snowflakeId.getStats().machineId)
+
+  await snowflakeId.close()
+  assert.throws(() => snowflakeId.newId(), LeaseLostError)
+})
+
+test('lease expiry is checked against the generator clock, also when it is offset from the system time', async () => {
+  for (const offsetMs of [ 0, 60 * 60 * 1000, -60 * 60 * 1000 ]) {
+    const clock = createClock(Date.now() + offsetMs)
+    const snowflakeId = await new CustomSnowflakeId({ MachineIdAllocator: new MemoryMachineIdAllocator({ ttlMs: 60000 }), Clock: clock }).ready()
+    snowflakeId.newId()
+    clock.advance(59000)
+    snowflakeId.newId()
+    clock.advance(1000)
+    assert.throws(() => snowflakeId.newId(), LeaseLostError)
+    await snowflakeId.close()
+  }
+})
+
+test('failed lease renewals are emitted and the lease is held until it expires', async () => {
+  class FailingAllocator extends MemoryMachineIdAllocator {
+    async renew() {
+      throw new Error('backend unavailable')
+    }
+  }
+
+  // Renewals run every 10 ms of real time, while the lease expires by the FakeClock only
+  const clock = createClock()
+  const snowflakeId = await new CustomSnowflakeId({ MachineIdAllocator: new FailingAllocator({ ttlMs: 30 }), Clock: clock }).ready()
+  const events = []
+  snowflakeId.on('leaseRenewalFailed', (payload) => events.push(payload))
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  assert.ok(events.length > 0)
+  assert.strictEqual(events[0].machineId, 0)
+  assert.deepStrictEqual(events[0].expiresAt, new Date(START.getTime() + 30))
+  assert.strictEqual(events[0].error.message, 'backend unavailable')
+  snowflakeId.newId()
+  clock.advance(30)
+  assert.throws(() => snowflakeId.newId(), LeaseLostError)
+  await snowflakeId.close()
+})
+
+test('file allocator treats an unparseable lock file as held until its mtime plus ttlMs', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snowflakeid-'))
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }))
+  const lockPath = path.join(directory, 'machine-0.lock')
+  fs.writeFileSync(lockPath, '')
+  const allocator = new FileMachineIdAllocator({ directory, ttlMs: 60000 })
+  await assert.rejects(allocator.acquire(0), MachineIdUnavailableError)
+
+  const past = new Date(Date.now() - 120000)
+  fs.utimesSync(lockPath, past, past)
+  const lease = await allocator.acquire(0)
+  assert.strictEqual(lease.machineId, 0)
+  assert.strictEqual(JSON.parse(fs.readFileSync(lockPath, 'utf8')).token, lease.token)
+  assert.deepStrictEqual(fs.readdirSync(directory), [ 'machine-0.lock' ])
+})
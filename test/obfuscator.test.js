@@ -0,0 +1,67 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { CustomSnowflakeId, IdObfuscator, InvalidIdError, InvalidOptionError } = require('..')
+const { createGenerator } = require('./helpers')
+
+const KEY_V1 = 'first-secret-key-0123'
+const KEY_V2 = 'second-secret-key-456'
+
+function createObfuscatedGenerator(keys) {
+  return createGenerator({ MachineId: 5, Obfuscator: new IdObfuscator({ keys }) }).snowflakeId
+}
+
+test('permutation is reversible over the whole 64-bit range', () => {
+  const obfuscator = new IdObfuscator({ keys: { 1: KEY_V1 } })
+  const samples = [ BigInt(0), BigInt(1), BigInt(2) ** BigInt(63), BigInt(2) ** BigInt(64) - BigInt(1) ]
+  for (let i = 0; i < 1000; i++) {
+    samples.push(BigInt.asUintN(64, BigInt(i) * BigInt('0x9e3779b97f4a7c15')))
+  }
+  for (const id of samples) {
+    const publicId = obfuscator.encode(id)
+    assert.match(publicId, /^1[0-9A-Za-z]{11}$/)
+    assert.strictEqual(obfuscator.decode(publicId), id)
+  }
+})
+
+test('public ids of consecutive ids look unrelated', () => {
+  const snowflakeId = createObfuscatedGenerator({ 1: KEY_V1 })
+  const publicIds = snowflakeId.newIds(100).map((id) => snowflakeId.encodeId(id))
+  assert.strictEqual(new Set(publicIds).size, 100)
+  assert.notDeepStrictEqual([ ...publicIds ].sort(), publicIds)
+  const commonPrefixes = publicIds.filter((publicId, index) => index > 0 && publicId.slice(0, 4) === publicIds[index - 1].slice(0, 4))
+  assert.ok(commonPrefixes.length < 5)
+})
+
+test('parseId recovers timestamp, machine id and sequence of public ids', () => {
+  const snowflakeId = createObfuscatedGenerator({ 1: KEY_V1 })
+  const id = snowflakeId.newId()
+  const publicId = snowflakeId.encodeId(id)
+  assert.strictEqual(snowflakeId.decodeId(publicId), id)
+  assert.deepStrictEqual(snowflakeId.parseId(publicId, { obfuscated: true }), snowflakeId.parseId(id))
+  assert.strictEqual(snowflakeId.isValid(publicId, { obfuscated: true }), true)
+  assert.strictEqual(snowflakeId.isValid('9zzzzzzzzzzz', { obfuscated: true }), false)
+  assert.throws(() => snowflakeId.parseId('1abc', { obfuscated: true }), InvalidIdError)
+})
+
+test('public ids of retired key versions still decode after rotation', () => {
+  const before = createObfuscatedGenerator({ 1: KEY_V1 })
+  const id = before.newId()
+  const oldPublicId = before.encodeId(id)
+
+  const after = createObfuscatedGenerator({ 1: KEY_V1, 2: KEY_V2 })
+  const newPublicId = after.encodeId(id)
+  assert.strictEqual(newPublicId[0], '2')
+  assert.strictEqual(after.decodeId(oldPublicId), id)
+  assert.strictEqual(after.decodeId(newPublicId), id)
+  assert.throws(() => before.decodeId(newPublicId), /unknown key version '2'/)
+})
+
+test('rejects invalid keys and missing obfuscator', () => {
+  assert.throws(() => new IdObfuscator({ keys: { 1: 'short' } }), InvalidOptionError)
+  assert.throws(() => new IdObfuscator({ keys: { 62: KEY_V1 } }), InvalidOptionError)
+  assert.throws(() => new IdObfuscator({ keys: { 1: KEY_V1 }, version: 2 }), InvalidOptionError)
+  assert.throws(() => new CustomSnowflakeId({ Obfuscator: {} }), InvalidOptionError)
+  const plain = new CustomSnowflakeId({ MachineId: 1 })
+  assert.throws(() => plain.encodeId(plain.newId()), InvalidOptionError)
+  assert.throws(() => plain.parseId('1abcdefghijk', { obfuscated: true }), InvalidOptionError)
+})
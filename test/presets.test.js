@@ -0,0 +1,53 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { CustomSnowflakeId, InvalidOptionError } = require('..')
+const { START, createClock } = require('./helpers')
+
+test('decodes native fields of third-party ids', () => {
+  assert.deepStrictEqual(CustomSnowflakeId.preset('discord').parseId('175928847299117063'), {
+    timestamp: new Date('2016-04-30T11:18:25.796Z'), workerId: 1, processId: 0, sequence: 7,
+  })
+  assert.deepStrictEqual(CustomSnowflakeId.preset('twitter').parseId('1212092628029698048'), {
+    timestamp: new Date('2019-12-31T19:26:16.771Z'), datacenterId: 10, workerId: 7, sequence: 0,
+  })
+  assert.deepStrictEqual(CustomSnowflakeId.preset('mastodon').parseId('109372843111239004'), {
+    timestamp: new Date('2022-11-19T22:32:22.200Z'), sequence: 19804,
+  })
+})
+
+test('getFirstIdAt builds pagination cursors of the format', () => {
+  const discord = CustomSnowflakeId.preset('discord')
+  assert.strictEqual(discord.getFirstIdAt(new Date('2025-01-01T00:00:00.000Z')), '1323802873036800000')
+  assert.strictEqual(discord.parseId(discord.getLastIdAt(1462015105796)).timestamp.getTime(), 1462015105796)
+})
+
+test('instagram ids use the sign bit', () => {
+  const clock = createClock()
+  const instagram = CustomSnowflakeId.preset('instagram', { Clock: clock, Fields: { shardId: 8191 } })
+  const id = instagram.newId()
+  assert.deepStrictEqual(instagram.parseId(id, { strict: true }), { timestamp: START, shardId: 8191, sequence: 0 })
+  const last = instagram.getLastIdAt(new Date('2080-01-01T00:00:00.000Z'))
+  assert.ok(BigInt(last) >= BigInt(2) ** BigInt(63))
+  assert.strictEqual(instagram.isValid(last, { allowFuture: true }), true)
+})
+
+test('sonyflake ids place the sequence before the machine id', () => {
+  const clock = createClock()
+  const sonyflake = CustomSnowflakeId.preset('sonyflake', { Clock: clock, Fields: { machineId: 0x1234 } })
+  const ids = sonyflake.newIds(300)
+  assert.strictEqual(BigInt(ids[1]) - BigInt(ids[0]), BigInt(2) ** BigInt(16))
+  assert.deepStrictEqual(sonyflake.parseId(ids[299]), { timestamp: new Date('2025-01-01T00:00:00.010Z'), machineId: 0x1234, sequence: 43 })
+  assert.strictEqual(sonyflake.getLayout().sequenceBeforeFields, true)
+})
+
+test('fields without a value are given per call', () => {
+  const twitter = CustomSnowflakeId.preset('twitter')
+  assert.strictEqual(twitter.parseId(twitter.newId({ fields: { datacenterId: 2, workerId: 9 } })).workerId, 9)
+})
+
+test('rejects unknown presets and layout options', () => {
+  assert.throws(() => CustomSnowflakeId.preset('flickr'), InvalidOptionError)
+  assert.throws(() => CustomSnowflakeId.preset('discord', { TimestampBits: 41 }), /TimestampBits can not be used with a preset/)
+  assert.throws(() => CustomSnowflakeId.preset('discord', { Fields: { shardId: 1 } }), /Unknown field 'shardId'/)
+  assert.throws(() => CustomSnowflakeId.preset('instagram', { Fields: { shardId: 8192 } }), InvalidOptionError)
+})
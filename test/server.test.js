@@ -0,0 +1,62 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { createServer, CustomSnowflakeId, MemoryMachineIdAllocator } = require('..')
+
+async function startServer(t, options) {
+  const server = createServer({ MachineId: 3 }, options)
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => server.shutdown(1000))
+  return `http://127.0.0.1:${server.address().port}`
+}
+
+test('issues and parses ids', async (t) => {
+  const url = await startServer(t)
+  const { id } = await (await fetch(`${url}/id`)).json()
+  const { ids } = await (await fetch(`${url}/ids?count=5`)).json()
+  assert.strictEqual(ids.length, 5)
+
+  const parsed = await (await fetch(`${url}/parse/${id}`)).json()
+  assert.strictEqual(parsed.machineId, 3)
+
+  const text = await fetch(`${url}/id`, { headers: { accept: 'text/plain' } })
+  assert.match(await text.text(), /^\d+\n$/)
+})
+
+test('rejects invalid requests', async (t) => {
+  const url = await startServer(t, { maxCount: 10 })
+  assert.strictEqual((await fetch(`${url}/ids?count=11`)).status, 400)
+  assert.strictEqual((await fetch(`${url}/parse/abc`)).status, 400)
+  assert.strictEqual((await fetch(`${url}/missing`)).status, 404)
+  assert.strictEqual((await fetch(`${url}/id`, { method: 'POST' })).status, 405)
+  assert.strictEqual((await fetch(`${url}/parse/-5`)).status, 400)
+  assert.strictEqual((await fetch(`${url}/parse/99999999999999999999999999`)).status, 400)
+  assert.strictEqual((await fetch(`${url}/parse/%E0%A4%A`)).status, 400)
+  assert.strictEqual((await fetch(`${url}/range?from=2025-01-02&to=2025-01-01`)).status, 400)
+})
+
+test('health reports a generator which can not issue ids', async (t) => {
+  const snowflakeId = await new CustomSnowflakeId({ MachineIdAllocator: new MemoryMachineIdAllocator() }).ready()
+  const server = createServer(snowflakeId)
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => server.shutdown(1000))
+  const url = `http://127.0.0.1:${server.address().port}`
+  assert.strictEqual((await fetch(`${url}/health`)).status, 200)
+
+  await snowflakeId.close()
+  assert.strictEqual((await fetch(`${url}/id`)).status, 503)
+  const health = await fetch(`${url}/health`)
+  assert.strictEqual(health.status, 503)
+  assert.deepStrictEqual(await health.json().then(({ status, code }) => ({ status, code })), { status: 'unavailable', code: 'ERR_LEASE_LOST' })
+})
+
+test('reports health and metrics', async (t) => {
+  const url = await startServer(t)
+  await fetch(`${url}/ids?count=4`)
+  const health = await (await fetch(`${url}/health`)).json()
+  assert.strictEqual(health.status, 'ok')
+  assert.strictEqual(health.idsIssued, 4)
+
+  const metrics = await fetch(`${url}/metrics`)
+  assert.match(metrics.headers.get('content-type'), /^text\/plain; version=0\.0\.4/)
+  assert.match(await metrics.text(), /^snowflakeid_ids_issued_total\{machine_id="3"\} 4$/m)
+})
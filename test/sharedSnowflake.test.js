@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const { Worker } = require('worker_threads')
+const { CustomSnowflakeId, InvalidOptionError } = require('..')
+const { START, createClock } = require('./helpers')
+
+test('a claim which loses the race to another thread reports only its retry', () => {
+  const sharedState = CustomSnowflakeId.createSharedState()
+  const clock = createClock()
+  const options = { MachineIdBits: 10, SequenceBits: 1, SharedState: sharedState, Clock: clock }
+  const first = new CustomSnowflakeId(Object.assign({ MachineId: 1 }, options))
+  const second = new CustomSnowflakeId(Object.assign({ MachineId: 2 }, options))
+  const events = []
+  first.on('sequenceExhausted', (payload) => events.push(payload.timestamp.getTime() - START.getTime()))
+
+  // Let the other generator use up the next time unit after the first one planned its claim
+  first.newIds(2)
+  const planClaim = first.snowflake.planClaim
+  let raced = false
+  first.snowflake.planClaim = function (count) {
+    const claim = planClaim.call(this, count)
+    if (!raced) {
+      raced = true
+      second.newIds(2)
+    }
+    return claim
+  }
+  const id = first.newId()
+  assert.deepStrictEqual(first.parseId(id), { timestamp: new Date(START.getTime() + 2), machineId: 1, sequence: 0 })
+  assert.deepStrictEqual(events, [ 1 ])
+  assert.strictEqual(first.getStats().sequenceExhaustedCount, 1)
+  assert.strictEqual(first.getStats().waitCount, 1)
+})
+
+test('SharedState rejects layouts whose timestamp and sequence do not fit in 63 bits', () => {
+  const sharedState = CustomSnowflakeId.createSharedState()
+  assert.throws(() => new CustomSnowflakeId({ UseSignBit: true, Schema: [], SharedState: sharedState }), /at most 63/)
+  assert.throws(() => new CustomSnowflakeId({ UseSignBit: true, Schema: [], SharedState: sharedState }), InvalidOptionError)
+  assert.ok(new CustomSnowflakeId({ UseSignBit: true, MachineId: 1, SharedState: sharedState }).newId())
+})
+
+test('worker threads with the same SharedState issue unique ids', async () => {
+  const sharedState = CustomSnowflakeId.createSharedState()
+  const script = `
+    const { parentPort, workerData } = require('worker_threads')
+    const { CustomSnowflakeId } = require(${JSON.stringify(path.join(__dirname, '..'))})
+    const snowflakeId = new CustomSnowflakeId({ MachineId: 1, SharedState: workerData.sharedState, Encoding: 'bigint' })
+    parentPort.postMessage(snowflakeId.newIds(25000))
+  `
+  const batches = await Promise.all([ 0, 1, 2, 3 ].map(() => new Promise((resolve, reject) => {
+    const worker = new Worker(script, { eval: true, workerData: { sharedState } })
+    worker.once('message', resolve)
+    worker.once('error', reject)
+  })))
+  const ids = new Set(batches.flat())
+  assert.strictEqual(ids.size, 100000)
+})
@@ -0,0 +1,133 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {
+  InvalidArgumentError,
+  InvalidIdError,
+  TimestampBeforeEpochError,
+} = require('..')
+const { START, createGenerator } = require('./helpers')
+
+test('generates the exact id of the clock time', () => {
+  const { snowflakeId } = createGenerator()
+  // 366 days after 2024-01-01 shifted past 22 bits, machine id 1 shifted past 12 bits
+  assert.strictEqual(snowflakeId.newId(), '132633958809604096')
+  assert.strictEqual(snowflakeId.newId(), '132633958809604097')
+})
+
+test('parses ids back to timestamp, machine id and sequence', () => {
+  const { clock, snowflakeId } = createGenerator()
+  clock.advance(42)
+  snowflakeId.newId()
+  const content = snowflakeId.parseId(snowflakeId.newId())
+  assert.deepStrictEqual(content, { timestamp: new Date(START.getTime() + 42), machineId: 1, sequence: 1 })
+})
+
+test('moves to the next millisecond when the sequence overflows', () => {
+  const { clock, snowflakeId } = createGenerator({ MachineIdBits: 10, SequenceBits: 2 })
+  const ids = snowflakeId.newIds(10)
+  const contents = ids.map((id) => snowflakeId.parseId(id))
+  assert.deepStrictEqual(contents.map((content) => content.timestamp.getTime() - START.getTime()), [ 0, 0, 0, 0, 1, 1, 1, 1, 2, 2 ])
+  assert.deepStrictEqual(contents.map((content) => content.sequence), [ 0, 1, 2, 3, 0, 1, 2, 3, 0, 1 ])
+  assert.strictEqual(clock.now(), START.getTime() + 2)
+
+  const stats = snowflakeId.getStats()
+  assert.strictEqual(stats.idsIssued, 10)
+  assert.strictEqual(stats.peakIdsPerMs, 4)
+  assert.strictEqual(stats.sequenceExhaustedCount, 2)
+})
+
+test('ids are unique and increasing', () => {
+  const { clock, snowflakeId } = createGenerator()
+  const ids = []
+  for (let i = 0; i < 20000; i++) {
+    if (i % 1000 === 0) clock.advance(1)
+    ids.push(BigInt(snowflakeId.newId()))
+  }
+  assert.strictEqual(new Set(ids).size, ids.length)
+  for (let i = 1; i < ids.length; i++) {
+    assert.ok(ids[i] > ids[i - 1])
+  }
+})
+
+test('newIdAsync waits for the next millisecond with the clock', async () => {
+  const { clock, snowflakeId } = createGenerator({ MachineIdBits: 10, SequenceBits: 1 })
+  const ids = await Promise.all([ 1, 2, 3, 4, 5 ].map(() => snowflakeId.newIdAsync()))
+  assert.deepStrictEqual(ids, [ ...ids ].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1)))
+  assert.strictEqual(new Set(ids).size, 5)
+  assert.strictEqual(clock.now(), START.getTime() + 2)
+})
+
+test('reserveRange yields the reserved ids lazily', () => {
+  const { snowflakeId } = createGenerator({ MachineIdBits: 10, SequenceBits: 3 })
+  const range = snowflakeId.reserveRange(20)
+  const ids = [ ...range ]
+  assert.strictEqual(range.count, 20)
+  assert.strictEqual(ids.length, 20)
+  assert.strictEqual(ids[0], range.first)
+  assert.strictEqual(ids[19], range.last)
+  assert.strictEqual(snowflakeId.getStats().idsIssued, 20)
+})
+
+test('newIds rejects counts which are not positive integers', () => {
+  const { snowflakeId } = createGenerator()
+  assert.throws(() => snowflakeId.newIds(0), InvalidArgumentError)
+  assert.throws(() => snowflakeId.newIds(1.5), InvalidArgumentError)
+})
+
+test('first and last ids of a timestamp bound its generated ids', () => {
+  const { clock, snowflakeId } = createGenerator()
+  clock.advance(7)
+  const id = BigInt(snowflakeId.newId())
+  const at = clock.now()
+  assert.ok(BigInt(snowflakeId.getFirstIdAt(at)) <= id)
+  assert.ok(BigInt(snowflakeId.getLastIdAt(at)) >= id)
+  assert.ok(BigInt(snowflakeId.getLastIdAt(at - 1)) < id)
+  assert.throws(() => snowflakeId.getFirstIdAt(new Date('2023-01-01T00:00:00.000Z')), TimestampBeforeEpochError)
+  assert.throws(() => snowflakeId.getFirstIdAt('yesterday'), InvalidArgumentError)
+})
+
+test('strict parsing checks the timestamp against the clock', () => {
+  const { clock, snowflakeId } = createGenerator()
+  const id = snowflakeId.newId()
+  clock.set(START.getTime() - 5000)
+  assert.throws(() => snowflakeId.parseId(id, { strict: true }), InvalidIdError)
+  assert.strictEqual(snowflakeId.isValid(id), false)
+  assert.strictEqual(snowflakeId.isValid(id, { allowFuture: true }), true)
+  clock.set(START)
+  assert.strictEqual(snowflakeId.isValid(id, { expectedMachineId: 1 }), true)
+  assert.strictEqual(snowflakeId.isValid(id, { expectedMachineId: 2 }), false)
+  assert.strictEqual(snowflakeId.isValid('-1'), false)
+  assert.throws(() => snowflakeId.parseId('not an id'), InvalidIdError)
+})
+
+test('encoded ids sort like their numeric values and parse back', () => {
+  for (const encoding of [ 'hex', 'base62', 'base32' ]) {
+    const { clock, snowflakeId } = createGenerator({ Encoding: encoding })
+    const ids = []
+    for (let i = 0; i < 50; i++) {
+      clock.advance(i * 997)
+      ids.push(snowflakeId.newId())
+    }
+    assert.deepStrictEqual([ ...ids ].sort(), ids)
+    assert.strictEqual(snowflakeId.parseId(ids[0]).machineId, 1)
+  }
+})
+
+test('encoded ids beyond 64 bits are invalid', () => {
+  const { snowflakeId } = createGenerator()
+  assert.throws(() => snowflakeId.parseId('zzzzzzzzzzz', { encoding: 'base62' }), InvalidIdError)
+  assert.throws(() => snowflakeId.parseId('ZZZZZZZZZZZZZ', { encoding: 'base32' }), InvalidIdError)
+  assert.throws(() => snowflakeId.parseId('18446744073709551616'), InvalidIdError)
+  assert.strictEqual(snowflakeId.parseId('LygHa16AHYF', { encoding: 'base62' }).sequence, 4095)
+  assert.strictEqual(snowflakeId.parseId('FZZZZZZZZZZZZ', { encoding: 'base32' }).sequence, 4095)
+})
+
+test('bigint and buffer ids parse by type', () => {
+  const { snowflakeId } = createGenerator()
+  const id = snowflakeId.newId({ encoding: 'bigint' })
+  const buffer = snowflakeId.newId({ encoding: 'buffer' })
+  assert.strictEqual(typeof id, 'bigint')
+  assert.ok(Buffer.isBuffer(buffer) && buffer.length === 8)
+  assert.strictEqual(snowflakeId.parseId(id).sequence, 0)
+  assert.strictEqual(snowflakeId.parseId(buffer).sequence, 1)
+})
@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { CustomSnowflakeId, FileStateStore, ClockBehindStateError, InvalidStateError } = require('..')
+const { START, createClock } = require('./helpers')
+
+function createStatePath(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snowflakeid-'))
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }))
+  return path.join(directory, 'state.json')
+}
+
+test('file state store saves and loads the high-water timestamp', (t) => {
+  const store = new FileStateStore({ path: createStatePath(t) })
+  assert.strictEqual(store.load(), null)
+  store.save({ highWaterMs: 1234 })
+  assert.deepStrictEqual(store.load(), { highWaterMs: 1234 })
+})
+
+test('corrupt state files are rejected with a code', (t) => {
+  const statePath = createStatePath(t)
+  const store = new FileStateStore({ path: statePath })
+  fs.writeFileSync(statePath, '{"highWaterMs": 12')
+  assert.throws(() => new CustomSnowflakeId({ MachineId: 1, StateStore: store }), InvalidStateError)
+  fs.writeFileSync(statePath, '{}')
+  assert.throws(() => store.load(), { code: 'ERR_INVALID_STATE' })
+})
+
+test('generator saves a high-water timestamp ahead of issued ids', async (t) => {
+  const store = new FileStateStore({ path: createStatePath(t) })
+  const clock = createClock()
+  const snowflakeId = new CustomSnowflakeId({ MachineId: 1, Clock: clock, StateStore: store, StateSaveIntervalMs: 1000, StateSafetyMarginMs: 500 })
+  await snowflakeId.ready()
+  snowflakeId.newId()
+  assert.strictEqual(store.load().highWaterMs, START.getTime() + 1 + 1000 + 500)
+  await snowflakeId.close()
+})
+
+test('restarted generator waits until the clock passes the recovered state', async (t) => {
+  const store = new FileStateStore({ path: createStatePath(t) })
+  store.save({ highWaterMs: START.getTime() + 5000 })
+  const clock = createClock()
+
+  const refusing = new CustomSnowflakeId({ MachineId: 1, Clock: clock, StateStore: store, StateRecoveryPolicy: 'refuse' })
+  await assert.rejects(refusing.ready(), ClockBehindStateError)
+  assert.throws(() => refusing.newId(), ClockBehindStateError)
+  await refusing.close()
+
+  const waiting = new CustomSnowflakeId({ MachineId: 1, Clock: clock, StateStore: store })
+  await waiting.ready()
+  assert.ok(clock.now() > START.getTime() + 5000)
+  assert.ok(waiting.parseId(waiting.newId()).timestamp.getTime() > START.getTime() + 5000)
+  await waiting.close()
+})
@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { TypedIdFactory, InvalidIdError, InvalidOptionError, InvalidArgumentError } = require('..')
+const { START, createGenerator } = require('./helpers')
+
+function createFactory() {
+  const { snowflakeId } = createGenerator({ MachineId: 5 })
+  return new TypedIdFactory(snowflakeId, { types: { user: 'usr', order: 'ord' } })
+}
+
+test('typed ids carry the prefix of their type and parse back', () => {
+  const factory = createFactory()
+  const userId = factory.newId('user')
+  assert.match(userId, /^usr_[0-9A-Za-z]{12}$/)
+  assert.deepStrictEqual(factory.parse(userId, 'user'), { type: 'user', timestamp: START, machineId: 5, sequence: 0 })
+  assert.strictEqual(factory.parse(factory.newId('order')).type, 'order')
+})
+
+test('typed ids of a type sort by generation time', async () => {
+  const factory = createFactory()
+  const ids = [ factory.newId('user'), await factory.newIdAsync('user'), factory.newId('user') ]
+  assert.deepStrictEqual([ ...ids ].sort(), ids)
+})
+
+test('rejects ids with the prefix of another type', () => {
+  const factory = createFactory()
+  const orderId = factory.newId('order')
+  assert.throws(() => factory.parse(orderId, 'user'), /Expected a 'user' id with prefix 'usr_', got prefix 'ord_'/)
+  assert.strictEqual(factory.isValid(orderId, 'user'), false)
+  assert.strictEqual(factory.isValid(orderId, 'order'), true)
+  assert.throws(() => factory.parse(`inv_${orderId.slice(4)}`), /unknown prefix 'inv'/)
+})
+
+test('check character catches mistyped characters and transpositions', () => {
+  const factory = createFactory()
+  const userId = factory.newId('user')
+  const body = userId.slice(4)
+  for (let index = 0; index < body.length; index++) {
+    const replacement = body[index] === 'x' ? 'y' : 'x'
+    assert.throws(() => factory.parse(`usr_${body.slice(0, index)}${replacement}${body.slice(index + 1)}`), InvalidIdError)
+  }
+  const fixedId = factory.format('user', BigInt('1234567890123456789'))
+  assert.strictEqual(fixedId, 'usr_1TCKi1nFuNhu')
+  assert.strictEqual(factory.parse(fixedId).type, 'user')
+  assert.throws(() => factory.parse('usr_1CTKi1nFuNhu'), /wrong check character/)
+  assert.throws(() => factory.parse('usr_0000'), InvalidIdError)
+  assert.throws(() => factory.parse('usr_00000-000000'), InvalidIdError)
+})
+
+test('rejects unknown types and invalid prefixes', () => {
+  const factory = createFactory()
+  assert.throws(() => factory.newId('invoice'), InvalidArgumentError)
+  assert.throws(() => factory.register('customer', 'Cus'), InvalidOptionError)
+  assert.throws(() => factory.register('account', 'usr'), /registered already for 'user'/)
+  assert.strictEqual(factory.register('invoice', 'in').parse(factory.newId('invoice')).type, 'invoice')
+})